@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Importa os arquivos JSON antigos dos módulos para a camada de armazenamento
+ * configurada (STORAGE_DRIVER, DATA_DIR, SQLITE_PATH).
+ *
+ * Uso: node bin/migrate-storage.js [--dry-run] [--force]
+ *   --dry-run  apenas mostra o que seria importado
+ *   --force    sobrescreve coleções que já existem no destino
+ *
+ * Os arquivos Global.js eram relativos ao diretório de trabalho do processo;
+ * execute o comando a partir do mesmo diretório em que o servidor rodava.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const ROOT = path.resolve(__dirname, '..');
+const MODULES_DIR = path.join(ROOT, 'modules');
+
+// Arquivo legado -> coleção; transform ajusta o formato quando necessário
+const SOURCES = [
+  { file: process.env.SCRIPTS_PATH || path.join(ROOT, 'scripts.json'), collection: 'scripts' },
+  { file: path.join(MODULES_DIR, 'urls.json'), collection: 'bypass-urls' },
+  { file: path.join(MODULES_DIR, '.status.json'), collection: 'bypass-status' },
+  { file: path.join(MODULES_DIR, 'apisDat.json'), collection: 'bypass-apis', transform: data => data.apis || [] },
+  { file: path.resolve('global-users-apk.json'), collection: 'chat-users' },
+  { file: path.resolve('global-msgs-apk.json'), collection: 'chat-messages' },
+  { file: path.resolve('deleted-msgs-apk.json'), collection: 'chat-deleted-messages' },
+  { file: path.resolve('banned-users-apk.json'), collection: 'chat-banned-users' },
+  { file: path.join(MODULES_DIR, '.update.json'), collection: 'apk-update' },
+  { file: path.join(ROOT, '.keys.json'), collection: 'auth-keys', transform: data => data.keys || [] },
+  { file: path.join(ROOT, '.modules.json'), collection: 'modules-state' }
+];
+
+async function readLegacy(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+async function migrate({ dryRun, force }) {
+  const storage = createStorage();
+  console.log(`Destino: driver ${storage.driver}${dryRun ? ' (simulação)' : ''}`);
+  let failures = 0;
+
+  for (const source of SOURCES) {
+    const label = `${path.relative(process.cwd(), source.file) || source.file} -> ${source.collection}`;
+    try {
+      const data = await readLegacy(source.file);
+      if (data === undefined) {
+        console.log(`[ausente]    ${label}`);
+        continue;
+      }
+      if (!force && await storage.exists(source.collection)) {
+        console.log(`[existente]  ${label} (use --force para sobrescrever)`);
+        continue;
+      }
+      const value = source.transform ? source.transform(data) : data;
+      if (!dryRun) await storage.write(source.collection, value);
+      const size = Array.isArray(value) ? `${value.length} registros` : `${Object.keys(value).length} chaves`;
+      console.log(`[importado]  ${label} (${size})`);
+    } catch (error) {
+      failures++;
+      console.error(`[erro]       ${label}: ${error.message}`);
+    }
+  }
+
+  await storage.close();
+  return failures;
+}
+
+const args = process.argv.slice(2);
+migrate({ dryRun: args.includes('--dry-run'), force: args.includes('--force') })
+  .then(failures => process.exit(failures ? 1 : 0))
+  .catch(error => {
+    console.error('Erro na migração:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Receptor local de webhooks para testes
+ * Mostra no console cada entrega recebida e confere a assinatura HMAC.
+ *
+ * Uso: node bin/webhook-receiver.js [--port 4100] [--secret whsec_...] [--fail N]
+ *   --secret  segredo do webhook, para validar X-Webhook-Signature
+ *   --fail    responde 500 às N primeiras entregas (testa as repetições)
+ *
+ * Cadastre o receptor com POST /admin/webhooks { "url": "http://localhost:4100/" }.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { sign } = require('../lib/webhooks');
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = parseInt(option('port', '4100'));
+const secret = option('secret', null);
+let failures = parseInt(option('fail', '0'));
+
+function signatureValid(req, body) {
+  const expected = Buffer.from(sign(secret, req.headers['x-webhook-timestamp'], body));
+  const received = Buffer.from(String(req.headers['x-webhook-signature'] || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf-8');
+    const signature = secret ? (signatureValid(req, body) ? 'válida' : 'INVÁLIDA') : 'não verificada';
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} evento=${req.headers['x-webhook-event']} id=${req.headers['x-webhook-id']} assinatura=${signature}`);
+    console.log(body);
+
+    if (failures > 0) {
+      failures--;
+      res.writeHead(500);
+      return res.end('falha simulada');
+    }
+    res.writeHead(secret && signature !== 'válida' ? 401 : 204);
+    res.end();
+  });
+});
+
+server.listen(port, () => console.log(`Receptor de webhooks em http://localhost:${port}/`));
+
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
@@ -0,0 +1,248 @@
+/**
+ * Autenticação unificada por chaves de API
+ * As chaves ficam na coleção auth-keys apenas como hash SHA-256, com um papel (role)
+ * e uma lista de escopos. Os módulos recebem este serviço no contexto do
+ * setup e protegem suas rotas com auth.require('<escopo>').
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { CONFIG: STORAGE } = require('./storage');
+
+const CONFIG = {
+  COLLECTION: 'auth-keys',
+  // Arquivo (permissão 0600) que recebe a chave de administração gerada na
+  // primeira inicialização quando AUTH_BOOTSTRAP_KEY não é definida
+  ROOT_KEY_FILE: process.env.AUTH_ROOT_KEY_FILE || path.join(STORAGE.DATA_DIR, 'root-key.txt'),
+  KEY_PREFIX: 'tk_',
+  // Escopos concedidos por cada papel
+  ROLES: {
+    admin: ['*'],
+    moderator: ['scripts:moderate', 'chat:admin'],
+    publisher: ['apk:publish'],
+    client: ['bypass:use']
+  },
+  SCOPES: [
+    'bypass:use', 'bypass:admin',
+    'scripts:moderate', 'scripts:admin',
+    'chat:admin',
+    'apk:publish',
+    'modules:admin',
+    'keys:admin'
+  ]
+};
+
+// Chaves que eram fixas no código dos módulos. São importadas (como hash) a
+// cada inicialização em que a variável correspondente estiver definida, para
+// não quebrar clientes já distribuídos; trocar o valor da variável atualiza a
+// chave. Revogue-as pelo /admin/keys assim que os clientes migrarem (veja
+// "Chaves legadas" no README).
+const LEGACY_KEYS = [
+  { name: 'legado-bypass', role: 'client', scopes: [], env: 'AUTH_LEGACY_BYPASS_KEY' },
+  { name: 'legado-admin-bypass', role: null, scopes: ['bypass:admin'], env: 'AUTH_LEGACY_BYPASS_ADMIN_KEY' },
+  { name: 'legado-apk', role: 'publisher', scopes: [], env: 'AUTH_LEGACY_APK_KEY' }
+];
+
+function hashKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return CONFIG.KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+// Escopo conhecido, curinga total ("*") ou curinga de grupo ("scripts:*")
+function isValidScope(scope) {
+  if (scope === '*' || CONFIG.SCOPES.includes(scope)) return true;
+  return /^[a-z]+:\*$/.test(scope) && CONFIG.SCOPES.some(s => s.startsWith(scope.slice(0, -1)));
+}
+
+function scopeMatches(granted, scope) {
+  return granted.some(g => g === '*' || g === scope || (g.endsWith(':*') && scope.startsWith(g.slice(0, -1))));
+}
+
+// Remove o hash antes de expor a chave nas rotas de administração
+function toPublic(key) {
+  const { hash, ...info } = key;
+  return info;
+}
+
+const AuthService = {
+  keys: [],
+  store: null,
+
+  // Um erro de leitura (ex.: arquivo corrompido) interrompe a inicialização
+  // em vez de recriar as chaves do zero
+  async init(storage) {
+    this.store = storage.collection(CONFIG.COLLECTION, null);
+    const keys = await this.store.read();
+    if (keys) {
+      this.keys = keys;
+    } else {
+      this.keys = [];
+      await this._bootstrap();
+    }
+    await this._syncLegacy();
+  },
+
+  async _save() {
+    await this.store.write(this.keys);
+  },
+
+  // Primeira inicialização: cria a chave de administração inicial
+  // (AUTH_BOOTSTRAP_KEY ou uma chave aleatória gravada em ROOT_KEY_FILE, nunca
+  // exibida no console)
+  async _bootstrap() {
+    const rootSecret = process.env.AUTH_BOOTSTRAP_KEY || generateSecret();
+    if (!process.env.AUTH_BOOTSTRAP_KEY) {
+      await fs.mkdir(path.dirname(CONFIG.ROOT_KEY_FILE), { recursive: true });
+      await fs.writeFile(CONFIG.ROOT_KEY_FILE, `${rootSecret}\n`, { mode: 0o600 });
+      // O mode só vale na criação; um arquivo antigo também fica restrito
+      await fs.chmod(CONFIG.ROOT_KEY_FILE, 0o600);
+      console.log(`Chave de administração inicial gravada em ${CONFIG.ROOT_KEY_FILE} (guarde-a e apague o arquivo)`);
+    }
+    this.keys.push(this._createRecord('root', 'admin', [], rootSecret));
+    await this._save();
+  },
+
+  // Importa ou atualiza as chaves legadas definidas no ambiente. Uma chave
+  // legada revogada não volta, mesmo com a variável ainda definida.
+  async _syncLegacy() {
+    const configured = LEGACY_KEYS.filter(legacy => process.env[legacy.env]);
+    if (!configured.length) {
+      console.warn(`Nenhuma chave legada configurada (${LEGACY_KEYS.map(legacy => legacy.env).join(', ')}): clientes antigos sem chave de API serão recusados`);
+      return;
+    }
+    let changed = false;
+    configured.forEach(legacy => {
+      const hash = hashKey(process.env[legacy.env]);
+      const record = this.keys.find(key => key.name === legacy.name);
+      if (!record) {
+        this.keys.push(this._createRecord(legacy.name, legacy.role, legacy.scopes, process.env[legacy.env]));
+        console.log(`Chave legada "${legacy.name}" importada de ${legacy.env}`);
+        changed = true;
+      } else if (record.revokedAt) {
+        console.warn(`Chave legada "${legacy.name}" foi revogada; remova ${legacy.env} do ambiente`);
+      } else if (record.hash !== hash) {
+        record.hash = hash;
+        record.rotatedAt = new Date().toISOString();
+        console.log(`Chave legada "${legacy.name}" atualizada a partir de ${legacy.env}`);
+        changed = true;
+      }
+    });
+    if (changed) await this._save();
+  },
+
+  _createRecord(name, role, scopes, secret) {
+    return {
+      id: crypto.randomBytes(6).toString('hex'),
+      name,
+      role: role || null,
+      scopes: [...new Set([...(role ? CONFIG.ROLES[role] : []), ...scopes])],
+      hash: hashKey(secret),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null
+    };
+  },
+
+  // Retorna a chave ativa correspondente ao segredo, ou null
+  verify(secret) {
+    if (!secret || typeof secret !== 'string') return null;
+    const hash = hashKey(secret);
+    return this.keys.find(key => !key.revokedAt && key.hash === hash) || null;
+  },
+
+  hasScope(key, scope) {
+    return Boolean(key) && scopeMatches(key.scopes, scope);
+  },
+
+  // Lê a chave do header Authorization (Bearer) ou X-API-Key; o parâmetro de
+  // query só é aceito nas rotas legadas que já o usavam
+  extractSecret(req, queryParam) {
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+    if (req.get('x-api-key')) return req.get('x-api-key');
+    if (queryParam && typeof req.query[queryParam] === 'string') return req.query[queryParam];
+    return null;
+  },
+
+  // Middleware que exige uma chave válida com o escopo informado.
+  // options.query: nome do parâmetro de query aceito como fallback
+  require(scope, options = {}) {
+    return (req, res, next) => {
+      const key = this.verify(this.extractSecret(req, options.query));
+      if (!key) {
+        return res.status(401).json({ error: 'Chave de API inválida ou ausente' });
+      }
+      if (!this.hasScope(key, scope)) {
+        return res.status(403).json({ error: `Chave sem permissão para ${scope}` });
+      }
+      req.auth = { id: key.id, name: key.name, role: key.role, scopes: key.scopes };
+      next();
+    };
+  },
+
+  // Middleware que identifica a chave quando enviada, sem exigi-la. Uma chave
+  // enviada mas inválida continua sendo recusada.
+  optional(options = {}) {
+    return (req, res, next) => {
+      const secret = this.extractSecret(req, options.query);
+      if (!secret) return next();
+      const key = this.verify(secret);
+      if (!key) {
+        return res.status(401).json({ error: 'Chave de API inválida ou ausente' });
+      }
+      req.auth = { id: key.id, name: key.name, role: key.role, scopes: key.scopes };
+      next();
+    };
+  },
+
+  // ===================== Gerenciamento das chaves =====================
+
+  list() {
+    return this.keys.map(toPublic);
+  },
+
+  // Valida papel e escopos de uma nova chave; retorna a mensagem de erro ou null
+  validate({ name, role, scopes }) {
+    if (!name || typeof name !== 'string') return 'Informe o campo "name".';
+    if (role && !CONFIG.ROLES[role]) return `Papel inválido. Utilize: ${Object.keys(CONFIG.ROLES).join(', ')}.`;
+    if (scopes !== undefined && !Array.isArray(scopes)) return 'O campo "scopes" deve ser uma lista.';
+    const invalid = (scopes || []).filter(scope => !isValidScope(scope));
+    if (invalid.length) return `Escopos inválidos: ${invalid.join(', ')}.`;
+    if (!role && !(scopes || []).length) return 'Informe um papel (role) ou ao menos um escopo.';
+    return null;
+  },
+
+  // Emite uma chave nova; o segredo só é retornado nesta chamada
+  async issue({ name, role, scopes }) {
+    const secret = generateSecret();
+    const record = this._createRecord(name, role, scopes || [], secret);
+    this.keys.push(record);
+    await this._save();
+    return { key: secret, ...toPublic(record) };
+  },
+
+  // Gera um novo segredo mantendo id, papel e escopos
+  async rotate(id) {
+    const record = this.keys.find(key => key.id === id && !key.revokedAt);
+    if (!record) return null;
+    const secret = generateSecret();
+    record.hash = hashKey(secret);
+    record.rotatedAt = new Date().toISOString();
+    await this._save();
+    return { key: secret, ...toPublic(record) };
+  },
+
+  async revoke(id) {
+    const record = this.keys.find(key => key.id === id && !key.revokedAt);
+    if (!record) return null;
+    record.revokedAt = new Date().toISOString();
+    await this._save();
+    return toPublic(record);
+  }
+};
+
+module.exports = AuthService;
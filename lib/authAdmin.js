@@ -0,0 +1,48 @@
+/**
+ * Rotas de administração das chaves de API
+ * Emissão, rotação e revogação; todas exigem o escopo keys:admin.
+ */
+
+const auth = require('./auth');
+
+function setup(app) {
+  const requireKeysAdmin = auth.require('keys:admin');
+
+  app.get('/admin/keys', requireKeysAdmin, (req, res) => {
+    res.json({ keys: auth.list() });
+  });
+
+  // Corpo: { name, role?, scopes? }. O segredo só aparece nesta resposta.
+  app.post('/admin/keys', requireKeysAdmin, async (req, res) => {
+    const error = auth.validate(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+      const { name, role, scopes } = req.body;
+      res.status(201).json(await auth.issue({ name, role, scopes }));
+    } catch (err) {
+      res.status(500).json({ error: 'Erro ao emitir a chave: ' + err.message });
+    }
+  });
+
+  app.post('/admin/keys/:id/rotate', requireKeysAdmin, async (req, res) => {
+    try {
+      const rotated = await auth.rotate(req.params.id);
+      if (!rotated) return res.status(404).json({ error: 'Chave não encontrada ou revogada' });
+      res.json(rotated);
+    } catch (err) {
+      res.status(500).json({ error: 'Erro ao rotacionar a chave: ' + err.message });
+    }
+  });
+
+  app.delete('/admin/keys/:id', requireKeysAdmin, async (req, res) => {
+    try {
+      const revoked = await auth.revoke(req.params.id);
+      if (!revoked) return res.status(404).json({ error: 'Chave não encontrada ou já revogada' });
+      res.json({ message: 'Chave revogada.', key: revoked });
+    } catch (err) {
+      res.status(500).json({ error: 'Erro ao revogar a chave: ' + err.message });
+    }
+  });
+}
+
+module.exports = { setup };
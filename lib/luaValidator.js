@@ -0,0 +1,237 @@
+/**
+ * Validação e análise estática de scripts Lua
+ * Faz o parse com luaparse (sintaxe Lua 5.1 por padrão) e percorre a AST em
+ * busca de padrões de risco, devolvidos como avisos para a moderação.
+ *
+ * O luaparse não conhece as extensões do Luau ("+=", continue, anotações de
+ * tipo...). Um script que só falha por elas é aceito com o aviso
+ * "sintaxe-luau": atribuições compostas, continue e strings interpoladas são
+ * reescritas para Lua 5.1 antes de um novo parse, para que a análise estática
+ * ainda rode; o que não dá para reescrever fica para a moderação revisar.
+ */
+
+const luaparse = require('luaparse');
+
+const CONFIG = {
+  LUA_VERSION: process.env.LUA_VERSION || '5.1',
+  // Hosts aceitos em game:HttpGet sem aviso (subdomínios incluídos)
+  HTTP_ALLOWLIST: (process.env.SCRIPT_HTTP_ALLOWLIST || 'raw.githubusercontent.com,gist.githubusercontent.com,github.com,pastebin.com')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  HTTP_METHODS: ['HttpGet', 'HttpGetAsync', 'HttpPost', 'HttpPostAsync'],
+  LOADERS: ['loadstring', 'load'],
+  // Funções usadas para montar código ofuscado antes do loadstring
+  OBFUSCATION_CALLS: ['char', 'byte', 'reverse', 'gsub', 'rep', 'sub', 'getfenv', 'setfenv'],
+  // Quantidade de escapes numéricos (\65\66...) que caracteriza string ofuscada
+  ESCAPE_THRESHOLD: 20
+};
+
+const PARSE_OPTIONS = {
+  luaVersion: CONFIG.LUA_VERSION,
+  locations: true,
+  // Necessário para o luaparse preencher o valor das strings
+  encodingMode: 'pseudo-latin1'
+};
+
+// Strings e comentários, para que os recursos do Luau sejam procurados só no código
+const STRINGS_AND_COMMENTS = /--\[(=*)\[[\s\S]*?\]\1\]|--[^\n]*|\[(=*)\[[\s\S]*?\]\2\]|"(?:\\[\s\S]|[^"\\\n])*"|'(?:\\[\s\S]|[^'\\\n])*'|`(?:\\[\s\S]|[^`\\])*`/g;
+
+// Sintaxe exclusiva do Luau, procurada no código sem strings e comentários
+const LUAU_FEATURES = [
+  { nome: 'atribuição composta', pattern: /(?:\.\.|\/\/|[-+*/%^])=/g, rewrite: match => `${' '.repeat(match.length - 1)}=` },
+  { nome: 'continue', pattern: /(?<![.:\w])continue\b(?!\s*(?:=[^=]|[(.:[{"']))/g, rewrite: () => 'do end  ' },
+  {
+    nome: 'anotações de tipo',
+    pattern: new RegExp([
+      /(?:^|[\n;])[ \t]*(?:export\s+)?type\s+[A-Za-z_]\w*\s*(?:<[^>\n]*>)?\s*=/.source,
+      /::/.source,
+      /\blocal\s+(?:[A-Za-z_]\w*\s*,\s*)*[A-Za-z_]\w*\s*:/.source,
+      /\bfunction\b[^()\n]*\([^()]*:/.source,
+      /\bfunction\b[^()\n]*\([^()]*\)\s*:/.source,
+      /\bfunction\b[\w.:\s]*<\s*[A-Za-z_]/.source
+    ].join('|'), 'g')
+  },
+  { nome: 'expressão if', pattern: /(?:[=(,{]|\breturn)\s*if\b/g }
+];
+
+// Código sem strings e comentários (trocados por espaços, mantendo as
+// posições) e se há strings interpoladas (`...`)
+function maskCode(source) {
+  let interpolated = false;
+  const code = source.replace(STRINGS_AND_COMMENTS, match => {
+    if (match[0] === '`') interpolated = true;
+    return match.replace(/[^\n]/g, ' ');
+  });
+  return { code, interpolated };
+}
+
+// Recursos do Luau usados no código, o código reescrito em Lua 5.1 onde for
+// possível (mesmo tamanho, para as linhas dos avisos continuarem certas) e
+// as linhas com sintaxe que não dá para reescrever
+function luauRewrite(source) {
+  const { code, interpolated } = maskCode(source);
+  const recursos = [];
+  const linhas = new Set();
+  const chars = source.split('');
+  LUAU_FEATURES.forEach(({ nome, pattern, rewrite }) => {
+    for (const match of code.matchAll(pattern)) {
+      if (!recursos.includes(nome)) recursos.push(nome);
+      if (rewrite) {
+        rewrite(match[0]).split('').forEach((char, i) => { chars[match.index + i] = char; });
+      } else {
+        const start = match.index + Math.max(0, match[0].search(/[^\s;]/));
+        linhas.add(code.slice(0, start).split('\n').length);
+      }
+    }
+  });
+  let rewritten = chars.join('');
+  if (interpolated) {
+    recursos.push('string interpolada');
+    // Sem aspas duplas nem quebras de linha dentro, vira uma string comum
+    rewritten = rewritten.replace(STRINGS_AND_COMMENTS, match => (
+      match[0] === '`' && !/["\n]/.test(match) ? `"${match.slice(1, -1)}"` : match
+    ));
+  }
+  return { recursos, linhas, source: rewritten };
+}
+
+// Percorre todos os nós da AST chamando visit(node, parent)
+function walk(node, visit, parent = null) {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    node.forEach(child => walk(child, visit, parent));
+    return;
+  }
+  if (typeof node.type === 'string') visit(node, parent);
+  Object.keys(node).forEach(key => {
+    if (key !== 'loc' && key !== 'range') walk(node[key], visit, node);
+  });
+}
+
+// Nome simples da função chamada: loadstring, HttpGet, char...
+function calleeName(call) {
+  const base = call.base;
+  if (!base) return null;
+  if (base.type === 'Identifier') return base.name;
+  if (base.type === 'MemberExpression') return base.identifier.name;
+  return null;
+}
+
+function isCall(node) {
+  return node.type === 'CallExpression' || node.type === 'StringCallExpression' || node.type === 'TableCallExpression';
+}
+
+function callArguments(call) {
+  if (call.type === 'StringCallExpression') return [call.argument];
+  if (call.type === 'TableCallExpression') return [call.arguments];
+  return call.arguments || [];
+}
+
+// Nome de cada tipo de token do lexer (StringLiteral, Identifier...)
+const TOKEN_NAMES = Object.fromEntries(Object.entries(luaparse.tokenTypes).map(([name, type]) => [type, name]));
+
+function hostAllowed(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  return CONFIG.HTTP_ALLOWLIST.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+function syntaxError(error) {
+  if (!(error instanceof SyntaxError) || error.line === undefined) throw error;
+  return {
+    mensagem: error.message.replace(/^\[\d+:\d+\]\s*/, ''),
+    linha: error.line,
+    coluna: error.column + 1
+  };
+}
+
+const LuaValidator = {
+  // Retorna { ast } ou { error: { mensagem, linha, coluna } }. Scripts que só
+  // falham por sintaxe do Luau voltam como { ast, luau }: luau é o aviso para
+  // a moderação e ast fica null quando nem a reescrita passa no parse.
+  parse(source) {
+    let error;
+    try {
+      return { ast: luaparse.parse(source, PARSE_OPTIONS) };
+    } catch (err) {
+      error = syntaxError(err);
+    }
+    const { recursos, linhas, source: rewritten } = luauRewrite(source);
+    if (!recursos.length) return { error };
+
+    let ast = null;
+    try {
+      ast = luaparse.parse(rewritten, PARSE_OPTIONS);
+    } catch (err) {
+      error = syntaxError(err);
+      // Erro fora das linhas com sintaxe do Luau é erro de sintaxe de verdade
+      if (!linhas.has(error.linha)) return { error };
+    }
+    const mensagem = ast
+      ? `Sintaxe Luau (${recursos.join(', ')}) aceita sem verificação completa do parser`
+      : `Sintaxe Luau (${recursos.join(', ')}) não verificada: o parser falhou na linha ${error.linha} (${error.mensagem}) e a análise estática não rodou`;
+    return { ast, luau: { tipo: 'sintaxe-luau', mensagem, linha: error.linha } };
+  },
+
+  // Tokens { tipo, valor } do código, já sem comentários e espaços. Strings
+  // vêm decodificadas (aspas e escapes não importam). Lança SyntaxError em
+  // erros léxicos.
+  tokenize(source) {
+    luaparse.parse(source, { ...PARSE_OPTIONS, wait: true });
+    const tokens = [];
+    for (let token = luaparse.lex(); token.type !== luaparse.tokenTypes.EOF; token = luaparse.lex()) {
+      tokens.push({ tipo: TOKEN_NAMES[token.type], valor: token.value });
+    }
+    return tokens;
+  },
+
+  // Lista de avisos { tipo, mensagem, linha } para a moderação
+  analyze(ast) {
+    const avisos = [];
+    const add = (tipo, mensagem, node) => avisos.push({ tipo, mensagem, linha: node.loc ? node.loc.start.line : null });
+
+    walk(ast, node => {
+      if (node.type === 'StringLiteral' && node.raw) {
+        const escapes = (node.raw.match(/\\\d{1,3}/g) || []).length;
+        if (escapes >= CONFIG.ESCAPE_THRESHOLD) {
+          add('string-ofuscada', `String com ${escapes} escapes numéricos`, node);
+        }
+      }
+      if (!isCall(node)) return;
+      const name = calleeName(node);
+      const args = callArguments(node);
+
+      if (CONFIG.LOADERS.includes(name) && args.length) {
+        const suspicious = [];
+        walk(args[0], inner => {
+          if (isCall(inner)) {
+            const innerName = calleeName(inner);
+            if (CONFIG.LOADERS.includes(innerName)) suspicious.push(`${innerName} aninhado`);
+            if (CONFIG.OBFUSCATION_CALLS.includes(innerName)) suspicious.push(innerName);
+          }
+          if (inner.type === 'BinaryExpression' && inner.operator === '..') suspicious.push('concatenação');
+        });
+        if (suspicious.length) {
+          add('loadstring-ofuscado', `${name} com código montado em tempo de execução (${[...new Set(suspicious)].join(', ')})`, node);
+        }
+      }
+
+      if (CONFIG.HTTP_METHODS.includes(name) && node.base.type === 'MemberExpression') {
+        const url = args[0];
+        if (!url) return;
+        if (url.type !== 'StringLiteral') {
+          add('http-url-dinamica', `${name} com URL montada em tempo de execução`, node);
+        } else if (!hostAllowed(url.value)) {
+          add('http-host-nao-permitido', `${name} para host fora da lista permitida: ${url.value}`, node);
+        }
+      }
+    });
+
+    return avisos;
+  }
+};
+
+module.exports = LuaValidator;
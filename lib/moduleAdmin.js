@@ -0,0 +1,41 @@
+/**
+ * Rotas de administração dos módulos
+ * Lista os módulos carregados, ativa/desativa e recarrega o código do disco.
+ */
+
+const auth = require('./auth');
+const { listModules, setModuleEnabled, reloadModule } = require('./moduleLoader');
+
+function setup(app) {
+  const AdminAuthMiddleware = auth.require('modules:admin');
+
+  // Exemplo de uso: GET /admin/modules (header X-API-Key)
+  app.get('/admin/modules', AdminAuthMiddleware, (req, res) => {
+    res.json({ modules: listModules() });
+  });
+
+  // Exemplo de uso: POST /admin/modules/scripts/disable
+  app.post('/admin/modules/:name/:action(enable|disable)', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const entry = await setModuleEnabled(req.params.name, req.params.action === 'enable');
+      res.json({ message: `Módulo ${entry.manifest.name} ${entry.enabled ? 'ativado' : 'desativado'}.`, enabled: entry.enabled });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Exemplo de uso: POST /admin/modules/scripts/reload
+  app.post('/admin/modules/:name/reload', AdminAuthMiddleware, async (req, res) => {
+    if (!listModules().some(mod => mod.name === req.params.name)) {
+      return res.status(404).json({ error: `Módulo ${req.params.name} não encontrado` });
+    }
+    try {
+      const entry = await reloadModule(req.params.name);
+      res.json({ message: `Módulo ${entry.manifest.name} recarregado.`, version: entry.manifest.version, routes: entry.routes });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao recarregar o módulo: ' + error.message });
+    }
+  });
+}
+
+module.exports = { setup };
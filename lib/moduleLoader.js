@@ -0,0 +1,297 @@
+/**
+ * Carregador de módulos do servidor
+ * Lê os arquivos de modules/, ordena os módulos pelas dependências declaradas
+ * no manifesto e controla o ciclo de vida de cada um (setup/shutdown).
+ *
+ * Um módulo pode exportar:
+ *   manifest: { name, version, prefix, dependencies }
+ *   setup(app, context): registra as rotas (pode ser assíncrono)
+ *   shutdown(): libera timers e grava dados pendentes (pode ser assíncrono)
+ *
+ * Os módulos podem ser desativados (suas rotas respondem 503) e recarregados
+ * do disco sem reiniciar o processo. O estado ativo/inativo é persistido na
+ * coleção modules-state do armazenamento recebido no contexto.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const express = require('express');
+
+const MODULES_DIR = path.resolve(__dirname, '..', 'modules');
+const STATE_COLLECTION = 'modules-state';
+
+// Métodos de rota que os módulos podem registrar
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'all'];
+
+// Módulos conhecidos, indexados pelo nome, na ordem em que foram iniciados
+const registry = new Map();
+
+// Contexto repassado ao setup de cada módulo (guardado para os reloads)
+let moduleContext = {};
+
+// Normaliza o manifesto do módulo; sem manifesto, o nome vem do arquivo
+function readManifest(file, mod) {
+  const manifest = mod.manifest || {};
+  return {
+    name: manifest.name || path.basename(file, '.js'),
+    version: manifest.version || '0.0.0',
+    prefix: manifest.prefix || '/',
+    dependencies: Array.isArray(manifest.dependencies) ? manifest.dependencies : []
+  };
+}
+
+// Ordena os módulos de forma que cada um venha depois das suas dependências.
+// Módulos em ciclo são descartados com erro; dependências ausentes são
+// tratadas na inicialização.
+function sortByDependencies(entries) {
+  const byName = new Map(entries.map(entry => [entry.manifest.name, entry]));
+  const state = new Map();
+  const sorted = [];
+
+  function visit(entry, trail) {
+    const { name } = entry.manifest;
+    if (state.get(name) === 'done') return true;
+    if (state.get(name) === 'visiting') {
+      console.error(`Dependência circular entre módulos: ${[...trail, name].join(' -> ')}`);
+      return false;
+    }
+    state.set(name, 'visiting');
+    const ok = entry.manifest.dependencies.every(dep => {
+      const depEntry = byName.get(dep);
+      return !depEntry || visit(depEntry, [...trail, name]);
+    });
+    state.set(name, 'done');
+    if (ok) sorted.push(entry);
+    return ok;
+  }
+
+  entries.forEach(entry => visit(entry, []));
+  return sorted;
+}
+
+// Estado persistido dos módulos: { [nome]: { enabled } }
+const StateService = {
+  async load() {
+    try {
+      return await moduleContext.storage.read(STATE_COLLECTION, {});
+    } catch (error) {
+      console.error('Erro ao ler o estado dos módulos:', error.message);
+      return {};
+    }
+  },
+  async save() {
+    const state = {};
+    registry.forEach((entry, name) => {
+      state[name] = { enabled: entry.enabled };
+    });
+    try {
+      await moduleContext.storage.write(STATE_COLLECTION, state);
+    } catch (error) {
+      console.error('Erro ao salvar o estado dos módulos:', error.message);
+    }
+  }
+};
+
+// Cria o router do módulo e a fachada passada ao setup. Cada rota registrada
+// pela fachada é anotada para listagem e protegida pela checagem de ativação.
+function createModuleRouter(entry) {
+  const router = express.Router();
+  const routes = [];
+
+  const guard = (req, res, next) => {
+    if (entry.enabled) return next();
+    res.status(503).json({ error: `Módulo ${entry.manifest.name} está desativado no momento.` });
+  };
+
+  const moduleApp = {
+    use(...args) {
+      router.use(...args);
+      return moduleApp;
+    }
+  };
+  ROUTE_METHODS.forEach(method => {
+    moduleApp[method] = (routePath, ...handlers) => {
+      routes.push({
+        method: method.toUpperCase(),
+        path: typeof routePath === 'string' ? path.posix.join(entry.manifest.prefix, routePath) : String(routePath)
+      });
+      router[method](routePath, guard, ...handlers);
+      return moduleApp;
+    };
+  });
+
+  return { router, routes, moduleApp };
+}
+
+// Executa o setup de um módulo em um router novo e o instala na entrada
+async function startModule(entry, mod, manifest) {
+  const built = createModuleRouter(entry);
+  await mod.setup(built.moduleApp, { ...moduleContext, manifest });
+  entry.mod = mod;
+  entry.router = built.router;
+  entry.routes = built.routes;
+  entry.error = null;
+  entry.loadedAt = new Date().toISOString();
+}
+
+async function stopModule(entry) {
+  if (!entry.router || typeof entry.mod.shutdown !== 'function') return;
+  await entry.mod.shutdown();
+}
+
+async function loadModules(app, context = {}) {
+  console.time('Carregamento dos módulos');
+  moduleContext = context;
+  let files;
+  try {
+    files = await fs.readdir(MODULES_DIR);
+  } catch (error) {
+    console.error('Erro ao ler diretório de módulos:', error);
+    return registry;
+  }
+
+  // Filtrar apenas arquivos .js antes de carregar
+  const entries = [];
+  for (const file of files.filter(f => f.endsWith('.js'))) {
+    try {
+      const modPath = path.join(MODULES_DIR, file);
+      const mod = require(modPath);
+      if (typeof mod.setup !== 'function') continue;
+      const manifest = readManifest(file, mod);
+      if (entries.some(entry => entry.manifest.name === manifest.name)) {
+        console.error(`Módulo ${file} ignorado: nome "${manifest.name}" já está em uso.`);
+        continue;
+      }
+      entries.push({ file, path: modPath, mod, manifest });
+    } catch (error) {
+      console.error(`Erro ao carregar o módulo ${file}:`, error);
+    }
+  }
+
+  const savedState = await StateService.load();
+
+  // Inicia na ordem das dependências; cada módulo recebe seu próprio router,
+  // montado no prefixo declarado no manifesto
+  for (const candidate of sortByDependencies(entries)) {
+    const { name, version, prefix, dependencies } = candidate.manifest;
+    const entry = {
+      ...candidate,
+      router: null,
+      routes: [],
+      enabled: !savedState[name] || savedState[name].enabled !== false,
+      error: null,
+      loadedAt: null
+    };
+    registry.set(name, entry);
+
+    // O router é resolvido a cada requisição para que o reload possa trocá-lo
+    app.use(prefix, (req, res, next) => (entry.router ? entry.router(req, res, next) : next()));
+
+    const missing = dependencies.filter(dep => !registry.has(dep) || !registry.get(dep).router);
+    if (missing.length) {
+      entry.error = `Dependências indisponíveis (${missing.join(', ')})`;
+      console.error(`Módulo ${name} não iniciado: ${entry.error}.`);
+      continue;
+    }
+    try {
+      await startModule(entry, entry.mod, entry.manifest);
+      console.log(`Módulo ${name}@${version} carregado em ${prefix} (${entry.file})${entry.enabled ? '' : ' [desativado]'}.`);
+    } catch (error) {
+      entry.error = error.message;
+      console.error(`Erro ao iniciar o módulo ${name}:`, error);
+    }
+  }
+
+  console.timeEnd('Carregamento dos módulos');
+  return registry;
+}
+
+// Lista os módulos conhecidos com seu estado e rotas
+function listModules() {
+  return [...registry.values()].map(entry => ({
+    name: entry.manifest.name,
+    version: entry.manifest.version,
+    prefix: entry.manifest.prefix,
+    dependencies: entry.manifest.dependencies,
+    file: entry.file,
+    enabled: entry.enabled,
+    running: Boolean(entry.router),
+    error: entry.error,
+    loadedAt: entry.loadedAt,
+    routes: entry.routes
+  }));
+}
+
+function getEntry(name) {
+  const entry = registry.get(name);
+  if (!entry) throw new Error(`Módulo ${name} não encontrado`);
+  return entry;
+}
+
+async function setModuleEnabled(name, enabled) {
+  const entry = getEntry(name);
+  entry.enabled = enabled;
+  await StateService.save();
+  console.log(`Módulo ${name} ${enabled ? 'ativado' : 'desativado'}.`);
+  return entry;
+}
+
+// Recarrega o código do módulo do disco. Se o novo código não puder ser
+// carregado, a versão atual continua em execução; se o novo setup falhar,
+// a versão anterior é reiniciada.
+async function reloadModule(name) {
+  const entry = getEntry(name);
+  const previous = require.cache[entry.path];
+  delete require.cache[entry.path];
+
+  let mod;
+  try {
+    mod = require(entry.path);
+    if (typeof mod.setup !== 'function') throw new Error('O módulo não exporta setup()');
+    if (readManifest(entry.file, mod).name !== name) throw new Error('O nome do módulo não pode mudar no reload');
+  } catch (error) {
+    if (previous) require.cache[entry.path] = previous;
+    throw error;
+  }
+
+  // O prefixo de montagem é fixo enquanto o processo estiver de pé
+  const manifest = { ...readManifest(entry.file, mod), prefix: entry.manifest.prefix };
+  const previousMod = entry.mod;
+  await stopModule(entry);
+  try {
+    await startModule(entry, mod, manifest);
+    entry.manifest = manifest;
+  } catch (error) {
+    console.error(`Erro ao iniciar a nova versão do módulo ${name}:`, error);
+    if (previous) require.cache[entry.path] = previous;
+    await startModule(entry, previousMod, entry.manifest).catch(restoreError => {
+      entry.router = null;
+      entry.error = restoreError.message;
+    });
+    throw error;
+  }
+  console.log(`Módulo ${name}@${manifest.version} recarregado.`);
+  return entry;
+}
+
+// Encerra os módulos na ordem inversa da inicialização, para que um módulo
+// nunca seja encerrado antes dos que dependem dele
+async function shutdownModules() {
+  for (const entry of [...registry.values()].reverse()) {
+    try {
+      await stopModule(entry);
+      entry.router = null;
+      console.log(`Módulo ${entry.manifest.name} encerrado.`);
+    } catch (error) {
+      console.error(`Erro ao encerrar o módulo ${entry.manifest.name}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  loadModules,
+  listModules,
+  setModuleEnabled,
+  reloadModule,
+  shutdownModules
+};
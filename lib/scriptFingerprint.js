@@ -0,0 +1,109 @@
+/**
+ * Impressão digital de scripts Lua para detectar envios quase duplicados
+ * O código é normalizado pelos tokens do lexer (sem comentários, espaços
+ * colapsados e strings com aspas canônicas) e resumido em:
+ *   hash     SHA-256 do código normalizado, para duplicatas exatas
+ *   minhash  assinatura MinHash dos shingles de tokens, com os identificadores
+ *            renomeados pela ordem de aparição (renomear variáveis não muda a
+ *            assinatura); a fração de posições iguais estima a similaridade
+ */
+
+const crypto = require('crypto');
+const LuaValidator = require('./luaValidator');
+
+const CONFIG = {
+  // Tokens por shingle e tamanho da assinatura MinHash
+  SHINGLE_SIZE: 5,
+  MINHASH_SIZE: 64
+};
+
+// FNV-1a de 32 bits
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Uma semente por posição da assinatura; fixas para que as assinaturas
+// gravadas continuem comparáveis entre reinícios
+const SEEDS = Array.from({ length: CONFIG.MINHASH_SIZE }, (_, i) => fnv1a(`minhash-${i}`));
+
+// Embaralha o hash do shingle com a semente (finalizador do murmur3)
+function mix(value, seed) {
+  let hash = (value ^ seed) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+function tokenText(token) {
+  if (token.tipo === 'StringLiteral') return JSON.stringify(token.valor);
+  if (token.tipo === 'NilLiteral') return 'nil';
+  return String(token.valor);
+}
+
+// Scripts antigos que não passam no lexer são normalizados por texto
+function fallbackTokens(source) {
+  return source
+    .replace(/--\[(=*)\[[\s\S]*?\]\1\]/g, ' ')
+    .replace(/--[^\n]*/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(valor => ({ tipo: 'Texto', valor }));
+}
+
+function tokenize(source) {
+  try {
+    return LuaValidator.tokenize(source);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return fallbackTokens(source);
+  }
+}
+
+const ScriptFingerprint = {
+  // Código normalizado: tokens separados por um espaço
+  normalize(source) {
+    return tokenize(source).map(tokenText).join(' ');
+  },
+
+  // { hash, minhash } do script
+  compute(source) {
+    const tokens = tokenize(source);
+    const hash = crypto.createHash('sha256').update(tokens.map(tokenText).join(' ')).digest('hex');
+
+    const names = new Map();
+    const canonical = tokens.map(token => {
+      if (token.tipo !== 'Identifier') return tokenText(token);
+      if (!names.has(token.valor)) names.set(token.valor, `$${names.size}`);
+      return names.get(token.valor);
+    });
+    const shingles = new Set();
+    const size = Math.min(CONFIG.SHINGLE_SIZE, canonical.length);
+    for (let i = 0; i + size <= canonical.length && size > 0; i++) {
+      shingles.add(fnv1a(canonical.slice(i, i + size).join(' ')));
+    }
+
+    const minhash = SEEDS.map(seed => {
+      let min = 0xffffffff;
+      shingles.forEach(shingle => {
+        const value = mix(shingle, seed);
+        if (value < min) min = value;
+      });
+      return min;
+    });
+    return { hash, minhash };
+  },
+
+  // Similaridade estimada (0 a 1) entre duas impressões
+  similarity(a, b) {
+    if (!a || !b || !a.minhash || !b.minhash || a.minhash.length !== b.minhash.length) return 0;
+    const equal = a.minhash.filter((value, i) => value === b.minhash[i]).length;
+    return equal / a.minhash.length;
+  }
+};
+
+module.exports = ScriptFingerprint;
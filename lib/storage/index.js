@@ -0,0 +1,122 @@
+/**
+ * Camada de armazenamento compartilhada
+ * Os dados ficam em coleções nomeadas, cada uma com um documento JSON
+ * (lista ou objeto). O driver é escolhido por STORAGE_DRIVER:
+ *   json   (padrão) arquivos em DATA_DIR com escrita atômica
+ *   sqlite banco em SQLITE_PATH, recomendado para produção
+ *
+ * As escritas de uma mesma coleção são serializadas por uma fila em memória,
+ * então update() faz leitura-modificação-escrita sem perder alterações de
+ * requisições concorrentes.
+ */
+
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.resolve(__dirname, '..', '..', 'data');
+
+const CONFIG = {
+  DRIVER: process.env.STORAGE_DRIVER || 'json',
+  DATA_DIR,
+  SQLITE_FILE: process.env.SQLITE_PATH || path.join(DATA_DIR, 'storage.db'),
+  COLLECTION_NAME: /^[a-z0-9][a-z0-9-]*$/
+};
+
+function createAdapter(driver) {
+  switch (driver) {
+    case 'json':
+      return require('./jsonAdapter').createJsonAdapter(CONFIG.DATA_DIR);
+    case 'sqlite':
+      return require('./sqliteAdapter').createSqliteAdapter(CONFIG.SQLITE_FILE);
+    default:
+      throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+  }
+}
+
+// Cópia independente do valor padrão, para que nenhuma coleção compartilhe
+// o mesmo objeto de fallback
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createStorage(driver = CONFIG.DRIVER) {
+  const adapter = createAdapter(driver);
+  const locks = new Map();
+
+  function checkName(name) {
+    if (!CONFIG.COLLECTION_NAME.test(name)) {
+      throw new Error(`Nome de coleção inválido: ${name}`);
+    }
+  }
+
+  // Executa fn com exclusividade sobre a coleção; uma falha não trava a fila
+  function withLock(name, fn) {
+    const previous = locks.get(name) || Promise.resolve();
+    const run = previous.then(fn);
+    const tail = run.catch(() => {});
+    locks.set(name, tail);
+    tail.then(() => {
+      if (locks.get(name) === tail) locks.delete(name);
+    });
+    return run;
+  }
+
+  const storage = {
+    driver,
+
+    async read(name, fallback) {
+      checkName(name);
+      const value = await adapter.read(name);
+      return value === undefined ? clone(fallback) : value;
+    },
+
+    write(name, value) {
+      checkName(name);
+      return withLock(name, () => adapter.write(name, value));
+    },
+
+    // fn recebe o documento atual (ou uma cópia do fallback) e pode alterá-lo
+    // no lugar; o documento só é gravado se fn o alterou, e o retorno de fn é
+    // repassado ao chamador. Se fn lançar erro, nada é gravado.
+    update(name, fallback, fn) {
+      checkName(name);
+      return withLock(name, async () => {
+        const current = await adapter.read(name);
+        const value = current === undefined ? clone(fallback) : current;
+        const before = JSON.stringify(value);
+        const result = await fn(value);
+        if (JSON.stringify(value) !== before) await adapter.write(name, value);
+        return result;
+      });
+    },
+
+    async exists(name) {
+      checkName(name);
+      return (await adapter.read(name)) !== undefined;
+    },
+
+    list() {
+      return adapter.list();
+    },
+
+    // Atalho para uma coleção com valor padrão fixo
+    collection(name, fallback) {
+      checkName(name);
+      return {
+        name,
+        read: () => storage.read(name, fallback),
+        write: value => storage.write(name, value),
+        update: fn => storage.update(name, fallback, fn)
+      };
+    },
+
+    // Aguarda as escritas pendentes e fecha o driver
+    async close() {
+      await Promise.all([...locks.values()]);
+      await adapter.close();
+    }
+  };
+
+  return storage;
+}
+
+module.exports = { createStorage, CONFIG };
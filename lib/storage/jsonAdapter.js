@@ -0,0 +1,61 @@
+/**
+ * Driver de armazenamento em arquivos JSON
+ * Uma coleção por arquivo (<DATA_DIR>/<coleção>.json). A escrita vai para um
+ * arquivo temporário que é sincronizado em disco e renomeado sobre o
+ * original, então uma queda no meio da gravação nunca deixa o arquivo pela
+ * metade.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+function createJsonAdapter(dataDir) {
+  const fileFor = name => path.join(dataDir, `${name}.json`);
+
+  return {
+    async read(name) {
+      let data;
+      try {
+        data = await fs.readFile(fileFor(name), 'utf-8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+      // Arquivo corrompido propaga o erro: sobrescrevê-lo perderia os dados
+      return JSON.parse(data);
+    },
+
+    async write(name, value) {
+      await fs.mkdir(dataDir, { recursive: true });
+      const target = fileFor(name);
+      const temp = `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      const handle = await fs.open(temp, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(value, null, 2), 'utf-8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      try {
+        await fs.rename(temp, target);
+      } catch (error) {
+        await fs.unlink(temp).catch(() => {});
+        throw error;
+      }
+    },
+
+    async list() {
+      try {
+        const files = await fs.readdir(dataDir);
+        return files.filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+      } catch (error) {
+        return [];
+      }
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createJsonAdapter };
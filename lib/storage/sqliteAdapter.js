@@ -0,0 +1,53 @@
+/**
+ * Driver de armazenamento SQLite (better-sqlite3)
+ * Cada coleção é uma linha da tabela "collections" com o documento em JSON.
+ * As gravações são transacionais e o modo WAL permite leituras durante a
+ * escrita.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function createSqliteAdapter(file) {
+  // Carregado só quando o driver é usado, para o modo JSON não depender dele
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS collections (
+      name TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  const selectStmt = db.prepare('SELECT data FROM collections WHERE name = ?');
+  const upsertStmt = db.prepare(`
+    INSERT INTO collections (name, data, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `);
+  const listStmt = db.prepare('SELECT name FROM collections ORDER BY name');
+
+  return {
+    async read(name) {
+      const row = selectStmt.get(name);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    async write(name, value) {
+      upsertStmt.run(name, JSON.stringify(value), new Date().toISOString());
+    },
+
+    async list() {
+      return listStmt.all().map(row => row.name);
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,314 @@
+/**
+ * Webhooks de saída
+ * Os eventos emitidos por um módulo são enfileirados para cada webhook
+ * inscrito e entregues por POST em segundo plano. A fila fica no
+ * armazenamento compartilhado, então entregas pendentes sobrevivem a um
+ * reinício; falhas são repetidas com espera exponencial até o limite de
+ * tentativas. Cada tentativa é registrada no log de entregas.
+ *
+ * Assinatura: X-Webhook-Signature: sha256=<HMAC-SHA256 de "<timestamp>.<corpo>">
+ * com o segredo do webhook, e o timestamp (segundos) em X-Webhook-Timestamp.
+ *
+ * Formatos: "json" envia { id, evento, data, dados }; "discord" envia
+ * { content, embeds } no formato aceito pelos webhooks do Discord.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const CONFIG = {
+  FORMATS: ['json', 'discord'],
+  // Intervalo de verificação da fila e entregas por rodada
+  POLL_INTERVAL: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000,
+  BATCH_SIZE: 20,
+  REQUEST_TIMEOUT: 10000,
+  MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  // Espera antes da tentativa n: BASE * 2^(n-1), limitada a MAX
+  BACKOFF_BASE: parseInt(process.env.WEBHOOK_BACKOFF_BASE) || 30000,
+  BACKOFF_MAX: 3600000,
+  MAX_LOG_ENTRIES: 500,
+  DISCORD_COLOR: 0x5865f2
+};
+
+function randomId(bytes = 8) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function backoff(attempt) {
+  const delay = Math.min(CONFIG.BACKOFF_BASE * 2 ** (attempt - 1), CONFIG.BACKOFF_MAX);
+  // Variação de até 10% para não sincronizar as repetições
+  return Math.round(delay * (1 + Math.random() * 0.1));
+}
+
+function isValidUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Remove o segredo antes de expor o webhook nas rotas de administração
+function toPublic(webhook) {
+  const { segredo, ...info } = webhook;
+  return info;
+}
+
+// Cria o serviço de webhooks de um módulo. As coleções usam o prefixo
+// informado (ex.: "scripts" -> scripts-webhooks, scripts-webhook-queue e
+// scripts-webhook-log). options.events lista os eventos aceitos e
+// options.describe(evento, dados) devolve { title, description, url, fields }
+// para o formato do Discord.
+function createWebhooks(storage, namespace, options = {}) {
+  const webhooksStore = storage.collection(`${namespace}-webhooks`, []);
+  const queueStore = storage.collection(`${namespace}-webhook-queue`, []);
+  const logStore = storage.collection(`${namespace}-webhook-log`, []);
+  const events = options.events || [];
+  const logger = options.logger || console;
+
+  let timer = null;
+  let running = null;
+
+  function buildBody(webhook, delivery) {
+    const payload = { id: delivery.id, evento: delivery.evento, data: delivery.criadoEm, dados: delivery.dados };
+    if (webhook.formato !== 'discord') return JSON.stringify(payload);
+    const info = options.describe ? options.describe(delivery.evento, delivery.dados) : {};
+    return JSON.stringify({
+      content: info.content || `Evento **${delivery.evento}**`,
+      embeds: [{
+        title: info.title || delivery.evento,
+        description: info.description || undefined,
+        url: info.url || undefined,
+        color: CONFIG.DISCORD_COLOR,
+        fields: (info.fields || []).map(field => ({ name: field.name, value: String(field.value).slice(0, 1024), inline: field.inline !== false })),
+        timestamp: delivery.criadoEm
+      }]
+    });
+  }
+
+  async function appendLog(entry) {
+    await logStore.update(log => {
+      log.push(entry);
+      if (log.length > CONFIG.MAX_LOG_ENTRIES) log.splice(0, log.length - CONFIG.MAX_LOG_ENTRIES);
+    });
+  }
+
+  // Uma tentativa de entrega; retorna { ok, httpStatus, erro, duracaoMs }
+  async function attempt(webhook, delivery) {
+    const body = buildBody(webhook, delivery);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+      const response = await axios.post(webhook.url, body, {
+        timeout: CONFIG.REQUEST_TIMEOUT,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `${namespace}-webhooks`,
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.evento,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(webhook.segredo, timestamp, body)
+        },
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      const ok = response.status >= 200 && response.status < 300;
+      return { ok, httpStatus: response.status, erro: ok ? null : `HTTP ${response.status}`, duracaoMs: Date.now() - started };
+    } catch (error) {
+      return { ok: false, httpStatus: null, erro: error.code || error.message, duracaoMs: Date.now() - started };
+    }
+  }
+
+  // Entrega os itens vencidos da fila; repetições ficam na fila com nova data
+  async function processQueue() {
+    const now = Date.now();
+    const [queue, webhooks] = await Promise.all([queueStore.read(), webhooksStore.read()]);
+    const due = queue.filter(item => Date.parse(item.proximaTentativa) <= now).slice(0, CONFIG.BATCH_SIZE);
+
+    for (const delivery of due) {
+      const webhook = webhooks.find(w => w.id === delivery.webhookId);
+      const tentativa = delivery.tentativas + 1;
+      let result;
+      let status;
+      if (!webhook || !webhook.ativo) {
+        result = { ok: false, httpStatus: null, erro: webhook ? 'Webhook desativado' : 'Webhook removido', duracaoMs: 0 };
+        status = 'descartada';
+      } else {
+        result = await attempt(webhook, delivery);
+        status = result.ok ? 'entregue' : tentativa >= CONFIG.MAX_ATTEMPTS ? 'falhou' : 'erro';
+      }
+      const proximaTentativa = status === 'erro' ? new Date(Date.now() + backoff(tentativa)).toISOString() : null;
+
+      await queueStore.update(items => {
+        const index = items.findIndex(item => item.id === delivery.id);
+        if (index === -1) return;
+        if (status === 'erro') {
+          items[index].tentativas = tentativa;
+          items[index].proximaTentativa = proximaTentativa;
+          items[index].ultimoErro = result.erro;
+        } else {
+          items.splice(index, 1);
+        }
+      });
+      await appendLog({
+        id: randomId(),
+        entregaId: delivery.id,
+        webhookId: delivery.webhookId,
+        evento: delivery.evento,
+        tentativa,
+        status,
+        httpStatus: result.httpStatus,
+        erro: result.erro,
+        duracaoMs: result.duracaoMs,
+        proximaTentativa,
+        data: new Date().toISOString()
+      });
+    }
+  }
+
+  // Evita duas rodadas simultâneas; uma chamada durante a rodada espera por ela
+  function run() {
+    if (!running) {
+      running = processQueue()
+        .catch(error => logger.error('Erro ao processar a fila de webhooks:', error))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  return {
+    CONFIG,
+    FORMATS: CONFIG.FORMATS,
+    events,
+
+    start() {
+      if (timer) return;
+      timer = setInterval(run, CONFIG.POLL_INTERVAL);
+      timer.unref();
+      run();
+    },
+
+    // Para o timer e aguarda a rodada em andamento; a fila continua gravada
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      if (running) await running;
+    },
+
+    // Enfileira o evento para os webhooks ativos inscritos nele
+    async emit(evento, dados) {
+      try {
+        const webhooks = (await webhooksStore.read())
+          .filter(w => w.ativo && (w.eventos.includes('*') || w.eventos.includes(evento)));
+        if (!webhooks.length) return 0;
+        const now = new Date().toISOString();
+        await queueStore.update(queue => {
+          webhooks.forEach(webhook => {
+            queue.push({ id: randomId(), webhookId: webhook.id, evento, dados, tentativas: 0, proximaTentativa: now, criadoEm: now });
+          });
+        });
+        if (timer) setImmediate(run);
+        return webhooks.length;
+      } catch (error) {
+        logger.error(`Erro ao enfileirar o evento ${evento}:`, error);
+        return 0;
+      }
+    },
+
+    // ===================== Administração =====================
+
+    async list() {
+      return (await webhooksStore.read()).map(toPublic);
+    },
+
+    // Valida um webhook novo ou alterado; retorna a mensagem de erro ou null
+    validate({ url, eventos, formato, ativo }, partial = false) {
+      if ((!partial || url !== undefined) && (typeof url !== 'string' || !isValidUrl(url))) {
+        return 'URL inválida (use http:// ou https://)';
+      }
+      if (!partial || eventos !== undefined) {
+        if (!Array.isArray(eventos) || !eventos.length) return `Informe os eventos: ${events.join(', ')} ou "*"`;
+        const invalid = eventos.filter(e => e !== '*' && !events.includes(e));
+        if (invalid.length) return `Eventos inválidos: ${invalid.join(', ')}`;
+      }
+      if (formato !== undefined && !CONFIG.FORMATS.includes(formato)) {
+        return `Formato inválido. Utilize: ${CONFIG.FORMATS.join(', ')}`;
+      }
+      if (ativo !== undefined && typeof ativo !== 'boolean') return 'O campo "ativo" deve ser booleano';
+      return null;
+    },
+
+    // Cria o webhook; o segredo só é retornado nesta chamada
+    async create({ url, eventos, formato }) {
+      const webhook = {
+        id: randomId(6),
+        url,
+        eventos: [...new Set(eventos)],
+        formato: formato || 'json',
+        segredo: `whsec_${randomId(24)}`,
+        ativo: true,
+        criadoEm: new Date().toISOString()
+      };
+      await webhooksStore.update(webhooks => {
+        webhooks.push(webhook);
+      });
+      return webhook;
+    },
+
+    async update(id, changes) {
+      return webhooksStore.update(webhooks => {
+        const webhook = webhooks.find(w => w.id === id);
+        if (!webhook) return null;
+        ['url', 'eventos', 'formato', 'ativo'].forEach(field => {
+          if (changes[field] !== undefined) webhook[field] = changes[field];
+        });
+        return toPublic(webhook);
+      });
+    },
+
+    // Remove o webhook; entregas pendentes são descartadas na próxima rodada
+    async remove(id) {
+      return webhooksStore.update(webhooks => {
+        const index = webhooks.findIndex(w => w.id === id);
+        if (index === -1) return false;
+        webhooks.splice(index, 1);
+        return true;
+      });
+    },
+
+    // Enfileira um evento "webhook.ping" só para o webhook informado
+    async ping(id) {
+      const webhook = (await webhooksStore.read()).find(w => w.id === id);
+      if (!webhook) return null;
+      const now = new Date().toISOString();
+      const delivery = { id: randomId(), webhookId: id, evento: 'webhook.ping', dados: { webhookId: id }, tentativas: 0, proximaTentativa: now, criadoEm: now };
+      await queueStore.update(queue => {
+        queue.push(delivery);
+      });
+      if (timer) setImmediate(run);
+      return delivery;
+    },
+
+    // Log de entregas (mais recentes primeiro) e itens ainda na fila
+    async deliveries({ webhookId, status, limit = 100 } = {}) {
+      const [log, queue] = await Promise.all([logStore.read(), queueStore.read()]);
+      const entries = log
+        .filter(entry => (!webhookId || entry.webhookId === webhookId) && (!status || entry.status === status))
+        .reverse()
+        .slice(0, limit);
+      const pendentes = queue
+        .filter(item => !webhookId || item.webhookId === webhookId)
+        .map(({ dados, ...item }) => item);
+      return { entregas: entries, pendentes };
+    }
+  };
+}
+
+module.exports = { createWebhooks, sign };
@@ -1,18 +1,17 @@
 /**
  * Módulo de Gerenciamento de Usuários e Mensagens
  * Fornece endpoints para gerenciamento de usuários e mensagens,
- * com dados armazenados em arquivos JSON.
+ * com dados mantidos em cache e persistidos no armazenamento compartilhado.
  */
 
-const fs = require("fs");
-
 // CONFIGURAÇÕES GLOBAIS
 const CONFIG = {
-  FILES: {
-    USERS: "global-users-apk.json",
-    MESSAGES: "global-msgs-apk.json",
-    DELETED_MESSAGES: "deleted-msgs-apk.json",
-    BANNED_USERS: "banned-users-apk.json"
+  // Coleções do armazenamento (antigos arquivos *-apk.json)
+  COLLECTIONS: {
+    USERS: "chat-users",
+    MESSAGES: "chat-messages",
+    DELETED_MESSAGES: "chat-deleted-messages",
+    BANNED_USERS: "chat-banned-users"
     // Removido: PRIVATE_MESSAGES
   },
   VALIDATION: {
@@ -39,7 +38,7 @@ const CONFIG = {
   }
 };
 
-// Cache em memória para reduzir acessos aos arquivos
+// Cache em memória para reduzir acessos ao armazenamento
 const cache = {
   users: [],
   messages: [],
@@ -60,40 +59,44 @@ const TYPING_TIMEOUT = 5000; // tempo em ms para considerar como inativo
 let onlineStatus = {};
 const ONLINE_TIMEOUT = 30000; // tempo em ms para considerar como offline (exemplo: 30 segundos)
 
-// Carrega os dados dos arquivos para o cache (síncrono na inicialização)
-function loadData() {
-  cache.users = readJSON(CONFIG.FILES.USERS);
-  cache.messages = readJSON(CONFIG.FILES.MESSAGES);
-  cache.deletedMessages = readJSON(CONFIG.FILES.DELETED_MESSAGES);
-  cache.bannedUsers = readJSON(CONFIG.FILES.BANNED_USERS);
+// Armazenamento compartilhado recebido no setup
+let storage = null;
+
+// Carrega os dados do armazenamento para o cache (na inicialização)
+async function loadData() {
+  cache.users = await readCollection(CONFIG.COLLECTIONS.USERS);
+  cache.messages = await readCollection(CONFIG.COLLECTIONS.MESSAGES);
+  cache.deletedMessages = await readCollection(CONFIG.COLLECTIONS.DELETED_MESSAGES);
+  cache.bannedUsers = await readCollection(CONFIG.COLLECTIONS.BANNED_USERS);
 }
 
-// Grava os dados do cache nos arquivos a cada 5 segundos (escrita assíncrona)
-setInterval(() => {
-  writeJSON(CONFIG.FILES.USERS, cache.users);
-  writeJSON(CONFIG.FILES.MESSAGES, cache.messages);
-  writeJSON(CONFIG.FILES.DELETED_MESSAGES, cache.deletedMessages);
-  writeJSON(CONFIG.FILES.BANNED_USERS, cache.bannedUsers);
-}, 5000);
+// Timer da gravação periódica do cache (iniciado no setup)
+let flushInterval = null;
+
+// Grava todos os dados do cache e aguarda a conclusão
+function flushData() {
+  return Promise.all([
+    writeCollection(CONFIG.COLLECTIONS.USERS, cache.users),
+    writeCollection(CONFIG.COLLECTIONS.MESSAGES, cache.messages),
+    writeCollection(CONFIG.COLLECTIONS.DELETED_MESSAGES, cache.deletedMessages),
+    writeCollection(CONFIG.COLLECTIONS.BANNED_USERS, cache.bannedUsers)
+  ]);
+}
 
-// Função auxiliar para leitura de JSON (síncrona na inicialização)
-function readJSON(filePath) {
+// Função auxiliar para leitura de uma coleção (lista vazia se não existir)
+async function readCollection(name) {
   try {
-    return fs.existsSync(filePath)
-      ? JSON.parse(fs.readFileSync(filePath))
-      : [];
+    return await storage.read(name, []);
   } catch (error) {
-    console.error(`Erro ao ler ${filePath}:`, error);
+    console.error(`Erro ao ler ${name}:`, error);
     return [];
   }
 }
 
-// Função auxiliar para escrita de JSON de forma assíncrona
-function writeJSON(filePath, data) {
-  fs.writeFile(filePath, JSON.stringify(data, null, 2), err => {
-    if (err) {
-      console.error(`Erro ao escrever em ${filePath}:`, err);
-    }
+// Função auxiliar para gravação de uma coleção; erros são apenas registrados
+function writeCollection(name, data) {
+  return storage.write(name, data).catch(err => {
+    console.error(`Erro ao escrever em ${name}:`, err);
   });
 }
 
@@ -101,13 +104,13 @@ function writeJSON(filePath, data) {
 const UserService = {
   getAll: () => cache.users,
   findById: (userId) => cache.users.find(u => u.id === userId),
-  save: () => writeJSON(CONFIG.FILES.USERS, cache.users)
+  save: () => writeCollection(CONFIG.COLLECTIONS.USERS, cache.users)
 };
 
 const MessageService = {
   getAll: () => cache.messages,
   getDeleted: () => cache.deletedMessages,
-  save: () => writeJSON(CONFIG.FILES.MESSAGES, cache.messages),
+  save: () => writeCollection(CONFIG.COLLECTIONS.MESSAGES, cache.messages),
   add: (msg) => {
     if (cache.messages.length >= CONFIG.VALIDATION.MESSAGES.LIMIT) {
       cache.messages = [CONFIG.VALIDATION.MESSAGES.RESET_MESSAGE];
@@ -145,10 +148,13 @@ const Validators = {
 
 // Auto-delete para mensagens
 let autoDeleteUsers = {};
+// Remoções agendadas ainda pendentes (canceladas no shutdown)
+const autoDeleteTimers = new Set();
 
 // Função para agendar a remoção automática de uma mensagem
 function scheduleAutoDelete(msgId, delay, userId) {
-  setTimeout(() => {
+  const timer = setTimeout(() => {
+    autoDeleteTimers.delete(timer);
     const messages = MessageService.getAll();
     const index = messages.findIndex(m => m.msgId === msgId && m.id === userId);
     if (index !== -1) {
@@ -157,6 +163,7 @@ function scheduleAutoDelete(msgId, delay, userId) {
       console.log(`Mensagem ${msgId} de ${userId} removida automaticamente.`);
     }
   }, delay);
+  autoDeleteTimers.add(timer);
 }
 
 // Cria mensagem sem criptografia
@@ -433,7 +440,7 @@ const MessageController = {
     if (user.user.toLowerCase() === "tekscripts" || messages[parsedIndex].id === id) {
       const deleted = messages[parsedIndex];
       cache.deletedMessages.push(deleted);
-      writeJSON(CONFIG.FILES.DELETED_MESSAGES, cache.deletedMessages);
+      writeCollection(CONFIG.COLLECTIONS.DELETED_MESSAGES, cache.deletedMessages);
       messages.splice(parsedIndex, 1);
       MessageService.save();
       return res.send("Mensagem deletada");
@@ -528,7 +535,7 @@ const AdminController = {
     const deleted = cache.messages.splice(index, 1)[0];
     cache.deletedMessages.push(deleted);
     MessageService.save();
-    writeJSON(CONFIG.FILES.DELETED_MESSAGES, cache.deletedMessages);
+    writeCollection(CONFIG.COLLECTIONS.DELETED_MESSAGES, cache.deletedMessages);
     res.send("Mensagem deletada.");
   },
   // Apaga um usuário e remove suas mensagens
@@ -582,8 +589,22 @@ const AdminController = {
   }
 };
 
+const manifest = {
+  name: "global-chat",
+  version: "1.0.0",
+  prefix: "/",
+  dependencies: []
+};
+
 // Rotas
-function setup(app) {
+async function setup(app, context) {
+  const { auth } = context;
+  storage = context.storage;
+  await loadData();
+
+  // Grava os dados do cache a cada 5 segundos
+  flushInterval = setInterval(flushData, 5000);
+
   app.get("/api/user", UserController.createUser);
   app.get("/api/user-profile/:id", UserController.getProfile);
   app.get("/api/name", MessageController.postMessage);
@@ -614,20 +635,28 @@ function setup(app) {
   app.get("/api/status/online", OnlineController.getOnlineStatus);
 
   // ============================
-  // Rotas de Administração
+  // Rotas de Administração (exigem o escopo chat:admin)
   // ============================
-  app.get("/api/admin/view-messages", AdminController.viewAllMessages);
-  app.delete("/api/admin/clear-messages", AdminController.clearAllMessages);
-  app.delete("/api/admin/delete-message", AdminController.deleteAnyMessage);
-  app.delete("/api/admin/delete-user", AdminController.deleteUser);
-  app.post("/api/admin/ban-user", AdminController.banUser);
-  app.post("/api/admin/unban-user", AdminController.unbanUser);
-  app.post("/api/admin/censor-message", AdminController.censorMessage);
-  app.get("/api/admin/users-status", AdminController.viewAllUsersStatus);
+  const requireChatAdmin = auth.require("chat:admin");
+  app.get("/api/admin/view-messages", requireChatAdmin, AdminController.viewAllMessages);
+  app.delete("/api/admin/clear-messages", requireChatAdmin, AdminController.clearAllMessages);
+  app.delete("/api/admin/delete-message", requireChatAdmin, AdminController.deleteAnyMessage);
+  app.delete("/api/admin/delete-user", requireChatAdmin, AdminController.deleteUser);
+  app.post("/api/admin/ban-user", requireChatAdmin, AdminController.banUser);
+  app.post("/api/admin/unban-user", requireChatAdmin, AdminController.unbanUser);
+  app.post("/api/admin/censor-message", requireChatAdmin, AdminController.censorMessage);
+  app.get("/api/admin/users-status", requireChatAdmin, AdminController.viewAllUsersStatus);
 
   console.log("Módulo de usuários e mensagens carregado!");
 }
 
-loadData();
+// Para os timers e grava o cache antes do processo encerrar
+async function shutdown() {
+  clearInterval(flushInterval);
+  flushInterval = null;
+  autoDeleteTimers.forEach(timer => clearTimeout(timer));
+  autoDeleteTimers.clear();
+  await flushData();
+}
 
-module.exports = { setup };
+module.exports = { manifest, setup, shutdown };
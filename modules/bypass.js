@@ -1,12 +1,10 @@
+const crypto = require('crypto');
 const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
 const { performance } = require('perf_hooks');
 const AbortController = require('abort-controller');
 
 const CONFIG = {
   API: {
-    KEY: 'tekscripts',
     ERROR_KEYWORDS: [
       "erro", "error", "404", "unsupported", "invalid", "failed", "null",
       "afk", "down", "off", "stop", "discord", "not", "none", "fall", "er", "inva"
@@ -18,46 +16,236 @@ const CONFIG = {
       "You have been authenticated. Please proceed back to the application.",
       "key", "FREE", "link", "type"
     ],
-    RETRY_LIMIT: 1,
-    RETRY_DELAY: 2000
+    // Tentativas por provedor em cada consulta (1 = sem nova tentativa); o
+    // breaker aberto interrompe as tentativas restantes
+    RETRY_LIMIT: parseInt(process.env.BYPASS_RETRY_LIMIT) || 1,
+    RETRY_DELAY: parseInt(process.env.BYPASS_RETRY_DELAY) || 2000
   },
   SERVER: {
     TIMEOUT: 60000
   },
   FILES: {
-    APIS_URL: 'https://raw.githubusercontent.com/kauam73/Servidor_api/refs/heads/main/apis.json',
-    URLS_FILE: path.join(__dirname, 'urls.json'),
-    STAT_FILE: path.join(__dirname, '.status.json'),
-    APIS_DAT: path.join(__dirname, 'apisDat.json') // Novo arquivo para APIs adicionais
+    APIS_URL: process.env.BYPASS_APIS_URL || 'https://raw.githubusercontent.com/kauam73/Servidor_api/refs/heads/main/apis.json',
+    // Intervalo de atualização da lista remota (requisição condicional com ETag/If-Modified-Since)
+    APIS_REFRESH_INTERVAL: parseInt(process.env.BYPASS_APIS_REFRESH_INTERVAL) || 5 * 60 * 1000,
+    APIS_TIMEOUT: 15000
   },
-  CACHE_DURATION: 10 * 60 * 1000 // 10 minutos
+  // Coleções do armazenamento compartilhado
+  COLLECTIONS: {
+    URLS: 'bypass-urls',
+    STATUS: 'bypass-status',
+    APIS_DAT: 'bypass-apis', // APIs adicionais (antigo apisDat.json)
+    OVERRIDES: 'bypass-provider-overrides', // Alterações locais nos provedores do repositório
+    HEALTH: 'bypass-provider-health', // Circuit breakers e amostras de desempenho
+    REMOTE_APIS: 'bypass-remote-apis' // Última lista remota válida
+  },
+  BREAKER: {
+    // Falhas seguidas que abrem o breaker
+    FAILURE_THRESHOLD: parseInt(process.env.BYPASS_BREAKER_FAILURES) || 5,
+    // Taxa de erro na janela que abre o breaker, a partir de MIN_CALLS chamadas
+    ERROR_RATE_THRESHOLD: parseFloat(process.env.BYPASS_BREAKER_ERROR_RATE) || 0.8,
+    MIN_CALLS: parseInt(process.env.BYPASS_BREAKER_MIN_CALLS) || 20,
+    // Tempo em open antes de testar de novo; dobra a cada reabertura até o máximo
+    COOLDOWN: parseInt(process.env.BYPASS_BREAKER_COOLDOWN) || 60 * 1000,
+    MAX_COOLDOWN: parseInt(process.env.BYPASS_BREAKER_MAX_COOLDOWN) || 30 * 60 * 1000,
+    // Janela das estatísticas (taxa de erro, p50/p95) e amostras guardadas por provedor
+    WINDOW: 60 * 60 * 1000,
+    MAX_SAMPLES: 200,
+    PERSIST_INTERVAL: 10 * 1000
+  },
+  PROBE: {
+    // URL de exemplo usada para testar provedores abertos. Sem ela, o prober
+    // usa a última URL que um provedor resolveu com sucesso; antes da primeira,
+    // o provedor volta a receber uma requisição real após o cooldown
+    URL: process.env.BYPASS_PROBE_URL || null,
+    INTERVAL: parseInt(process.env.BYPASS_PROBE_INTERVAL) || 30 * 1000,
+    TIMEOUT: 15000
+  },
+  PROVIDERS: {
+    FIELDS: ['name', 'url', 'parse_json', 'response_key', 'validation'],
+    // Regras de validação aceitas em "validation"
+    RULES: ['expectedStatus', 'jsonPath', 'mustMatch', 'mustNotMatch', 'maxLength'],
+    MAX_NAME_LENGTH: 80,
+    // Faixa aceita para a prioridade (maior é tentado primeiro)
+    MIN_PRIORITY: -100,
+    MAX_PRIORITY: 100
+  },
+  CACHE: {
+    // Entradas em memória (as usadas há mais tempo saem primeiro)
+    MAX_ENTRIES: parseInt(process.env.BYPASS_CACHE_MAX_ENTRIES) || 1000,
+    // Validade de um resultado e de uma falha (cache negativo)
+    TTL: parseInt(process.env.BYPASS_CACHE_TTL) || 10 * 60 * 1000, // 10 minutos
+    NEGATIVE_TTL: parseInt(process.env.BYPASS_CACHE_NEGATIVE_TTL) || 30 * 1000,
+    // Grava os resultados válidos em bypass-urls para sobreviverem ao reinício
+    PERSIST: process.env.BYPASS_CACHE_PERSIST !== 'false',
+    PERSIST_INTERVAL: 30 * 1000
+  },
+  JOBS: {
+    // Tempo que um job concluído continua disponível para consulta
+    RETENTION: parseInt(process.env.BYPASS_JOB_RETENTION) || 10 * 60 * 1000,
+    // Jobs mantidos em memória ao mesmo tempo
+    MAX_JOBS: parseInt(process.env.BYPASS_MAX_JOBS) || 1000,
+    SWEEP_INTERVAL: 60 * 1000,
+    // Comentário enviado pelo SSE para a conexão não ser encerrada por inatividade
+    HEARTBEAT_INTERVAL: 15 * 1000
+  }
 };
 
 // Variável global para controlar se o bypass está ativo ou não.
 let bypassEnabled = true;
 
-// Serviço para registrar e classificar o desempenho das APIs
+// Percentil (nearest-rank) de uma lista ordenada; null se vazia
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Serviço que registra o desempenho dos provedores e mantém um circuit
+// breaker por provedor:
+//   closed    - recebe requisições normalmente
+//   open      - fora do bypass após falhas seguidas ou taxa de erro alta na
+//               janela; sai do estado pelo prober (ou, enquanto o prober
+//               não tem URL, na primeira requisição depois do cooldown)
+//   half-open - recebe uma requisição por vez; sucesso fecha o breaker e
+//               falha o reabre com o cooldown dobrado
+// Estado e amostras da janela são gravados na coleção bypass-provider-health.
 const ApiPerformanceTracker = {
-  // Armazena as estatísticas: total de chamadas, chamadas com sucesso e tempo total (ms)
+  // Por id do provedor: estado do breaker, contadores e amostras { t, ms, ok }
   stats: {},
+  store: null,
+  dirty: false,
+
+  _get(provider) {
+    if (!this.stats[provider.id]) {
+      this.stats[provider.id] = {
+        state: 'closed',
+        consecutiveFailures: 0,
+        cooldown: CONFIG.BREAKER.COOLDOWN,
+        openedAt: null,
+        nextAttemptAt: null,
+        trialInFlight: false,
+        samples: [],
+        totalCalls: 0,
+        totalFailures: 0,
+        lastProbe: null
+      };
+    }
+    const stat = this.stats[provider.id];
+    stat.url = provider.url;
+    return stat;
+  },
+
+  // Amostras dentro da janela
+  _window(stat) {
+    const since = Date.now() - CONFIG.BREAKER.WINDOW;
+    return stat.samples.filter(sample => sample.t >= since);
+  },
 
-  record(apiUrl, responseTime, success) {
-    if (!this.stats[apiUrl]) {
-      this.stats[apiUrl] = { totalCalls: 0, successCalls: 0, totalTime: 0 };
+  record(provider, responseTime, success) {
+    const stat = this._get(provider);
+    stat.samples.push({ t: Date.now(), ms: Math.round(responseTime), ok: success });
+    if (stat.samples.length > CONFIG.BREAKER.MAX_SAMPLES) {
+      stat.samples.splice(0, stat.samples.length - CONFIG.BREAKER.MAX_SAMPLES);
     }
-    this.stats[apiUrl].totalCalls++;
+    stat.totalCalls++;
+    stat.trialInFlight = false;
     if (success) {
-      this.stats[apiUrl].successCalls++;
-      this.stats[apiUrl].totalTime += responseTime;
+      stat.consecutiveFailures = 0;
+      if (stat.state !== 'closed') this._close(stat);
+    } else {
+      stat.totalFailures++;
+      stat.consecutiveFailures++;
+      if (stat.state === 'half-open') {
+        this._open(stat, stat.cooldown * 2);
+      } else if (stat.state === 'closed' && this._shouldOpen(stat)) {
+        this._open(stat, CONFIG.BREAKER.COOLDOWN);
+      }
     }
+    this.dirty = true;
+  },
+
+  // Libera a vaga do half-open de uma requisição cancelada sem resultado
+  release(provider) {
+    const stat = this.stats[provider.id];
+    if (stat) stat.trialInFlight = false;
+  },
+
+  _shouldOpen(stat) {
+    if (stat.consecutiveFailures >= CONFIG.BREAKER.FAILURE_THRESHOLD) return true;
+    const window = this._window(stat);
+    if (window.length < CONFIG.BREAKER.MIN_CALLS) return false;
+    return window.filter(sample => !sample.ok).length / window.length >= CONFIG.BREAKER.ERROR_RATE_THRESHOLD;
   },
 
-  // Calcula uma "pontuação" baseada na média de tempo e na taxa de sucesso
-  getScore(apiUrl) {
-    const stat = this.stats[apiUrl];
-    if (!stat || stat.totalCalls === 0) return Infinity; // sem dados: pior prioridade
-    const avgTime = stat.totalTime / stat.successCalls || CONFIG.SERVER.TIMEOUT;
-    const successRate = stat.successCalls / stat.totalCalls;
+  _open(stat, cooldown) {
+    stat.state = 'open';
+    stat.cooldown = Math.min(cooldown, CONFIG.BREAKER.MAX_COOLDOWN);
+    stat.openedAt = new Date().toISOString();
+    stat.nextAttemptAt = Date.now() + stat.cooldown;
+    console.warn(`Circuit breaker aberto para ${stat.url} (${stat.consecutiveFailures} falhas seguidas); novo teste em ${Math.round(stat.cooldown / 1000)}s`);
+  },
+
+  _close(stat) {
+    stat.state = 'closed';
+    stat.cooldown = CONFIG.BREAKER.COOLDOWN;
+    stat.openedAt = null;
+    stat.nextAttemptAt = null;
+    console.log(`Circuit breaker fechado para ${stat.url}`);
+  },
+
+  // Indica se o provedor pode receber uma requisição agora
+  allow(provider) {
+    const stat = this._get(provider);
+    if (stat.state === 'closed') return true;
+    if (stat.state === 'open') {
+      // Com URL para o prober, só ele tira o provedor do estado open
+      if (HealthProber.url() || Date.now() < stat.nextAttemptAt) return false;
+      stat.state = 'half-open';
+      this.dirty = true;
+    }
+    if (stat.trialInFlight) return false;
+    stat.trialInFlight = true;
+    return true;
+  },
+
+  // Provedores abertos com o cooldown vencido, prontos para o prober
+  dueForProbe(providers) {
+    return providers.filter(provider => {
+      const stat = this.stats[provider.id];
+      return stat && stat.state === 'open' && Date.now() >= stat.nextAttemptAt;
+    });
+  },
+
+  // Resultado do prober: sucesso passa o provedor para half-open, falha o
+  // mantém aberto com o cooldown dobrado
+  recordProbe(provider, responseTime, success, error) {
+    const stat = this._get(provider);
+    stat.lastProbe = { at: new Date().toISOString(), ms: Math.round(responseTime), ok: success, error: error || null };
+    if (stat.state === 'open') {
+      if (success) {
+        stat.state = 'half-open';
+        stat.trialInFlight = false;
+      } else {
+        this._open(stat, stat.cooldown * 2);
+      }
+    }
+    this.dirty = true;
+  },
+
+  // Volta o provedor ao estado inicial (breaker fechado, sem amostras)
+  reset(id) {
+    delete this.stats[id];
+    this.dirty = true;
+  },
+
+  // Calcula uma "pontuação" baseada na média de tempo e na taxa de sucesso da janela
+  getScore(provider) {
+    const stat = this.stats[provider.id];
+    const window = stat ? this._window(stat) : [];
+    if (!window.length) return Infinity; // sem dados: pior prioridade
+    const successes = window.filter(sample => sample.ok);
+    const avgTime = successes.length ? successes.reduce((sum, sample) => sum + sample.ms, 0) / successes.length : CONFIG.SERVER.TIMEOUT;
+    const successRate = successes.length / window.length;
     // Quanto menor o tempo e maior a taxa de sucesso, melhor a pontuação
     return avgTime / (successRate || 0.1);
   },
@@ -65,127 +253,710 @@ const ApiPerformanceTracker = {
   // Ordena a lista de APIs com base na pontuação (menor é melhor)
   sortApis(apis) {
     return apis.sort((a, b) => {
-      const scoreA = this.getScore(a.url);
-      const scoreB = this.getScore(b.url);
-      return scoreA - scoreB;
+      const scoreA = this.getScore(a);
+      const scoreB = this.getScore(b);
+      return scoreA === scoreB ? 0 : scoreA - scoreB;
     });
+  },
+
+  // Estado do breaker e estatísticas da janela; latências (p50/p95, ms)
+  // consideram só as chamadas com sucesso
+  report(provider) {
+    const stat = this.stats[provider.id];
+    const window = stat ? this._window(stat) : [];
+    const failures = window.filter(sample => !sample.ok).length;
+    const latencies = window.filter(sample => sample.ok).map(sample => sample.ms).sort((a, b) => a - b);
+    return {
+      id: provider.id,
+      name: provider.name,
+      url: provider.url,
+      enabled: provider.enabled,
+      state: stat ? stat.state : 'closed',
+      consecutiveFailures: stat ? stat.consecutiveFailures : 0,
+      openedAt: stat ? stat.openedAt : null,
+      nextAttemptAt: stat && stat.nextAttemptAt ? new Date(stat.nextAttemptAt).toISOString() : null,
+      calls: window.length,
+      errorRate: window.length ? Math.round((failures / window.length) * 1000) / 1000 : null,
+      p50: percentile(latencies, 50),
+      p95: percentile(latencies, 95),
+      totalCalls: stat ? stat.totalCalls : 0,
+      totalFailures: stat ? stat.totalFailures : 0,
+      lastProbe: stat ? stat.lastProbe : null
+    };
+  },
+
+  // Carrega o estado gravado; vagas de half-open não sobrevivem ao reinício
+  async load(store) {
+    this.store = store;
+    this.stats = await store.read();
+    Object.values(this.stats).forEach(stat => {
+      stat.trialInFlight = false;
+    });
+    this.dirty = false;
+  },
+
+  // Grava o estado, descartando amostras fora da janela
+  async flush() {
+    if (!this.dirty || !this.store) return;
+    this.dirty = false;
+    Object.values(this.stats).forEach(stat => {
+      stat.samples = this._window(stat);
+    });
+    try {
+      await this.store.write(this.stats);
+    } catch (error) {
+      this.dirty = true;
+      console.error('Erro ao salvar o estado dos provedores:', error.message);
+    }
   }
 };
 
+// Coleções usadas pelo módulo (definidas no setup)
+const stores = {
+  urls: null,
+  status: null,
+  apisDat: null,
+  overrides: null,
+  health: null,
+  remoteApis: null
+};
+
 const FileService = {
-  // Carrega as APIs do repositório Git
+  // APIs do repositório Git (última lista válida, em memória)
   async loadApis() {
-    try {
-      const response = await axios.get(CONFIG.FILES.APIS_URL);
-      return response.data.apis || [];
-    } catch (error) {
-      console.error('Erro ao carregar APIs:', error.message);
-      return [];
-    }
+    return RemoteProviderList.get();
   },
-  // Lê o arquivo de URLs salvas
+  // Lê as URLs salvas pelo cache de resultados
   async loadSavedUrls() {
     try {
-      const data = await fs.readFile(CONFIG.FILES.URLS_FILE, 'utf-8');
-      return JSON.parse(data);
+      return await stores.urls.read();
     } catch (error) {
-      // Se não existir o arquivo, retorna objeto vazio
+      console.error('Erro ao ler URLs salvas:', error.message);
       return {};
     }
   },
-  // Salva ou atualiza a URL com sua resposta e timestamp
-  async saveUrl(url, responseData) {
+  // Substitui as URLs salvas: { [url]: { response, timestamp, expiresAt } }
+  async saveUrls(savedUrls) {
     try {
-      const savedUrls = await this.loadSavedUrls();
-      savedUrls[url] = { response: responseData, timestamp: Date.now() };
-      await fs.writeFile(CONFIG.FILES.URLS_FILE, JSON.stringify(savedUrls, null, 2), 'utf-8');
+      await stores.urls.write(savedUrls);
     } catch (error) {
-      console.error('Erro ao salvar URL:', error.message);
+      console.error('Erro ao salvar URLs:', error.message);
     }
   },
-  // Lê o arquivo urls.json
-  async getUrlsJson() {
+  // ================= Métodos para APIs adicionais (antigo apisDat.json) =================
+  // Carrega as APIs adicionais (alteradas pelo ProviderRegistry)
+  async loadAdditionalApis() {
     try {
-      const data = await fs.readFile(CONFIG.FILES.URLS_FILE, 'utf-8');
-      return JSON.parse(data);
+      return await stores.apisDat.read();
     } catch (error) {
-      return {};
+      console.error('Erro ao ler APIs adicionais:', error.message);
+      return [];
+    }
+  }
+};
+
+// Identificador estável de um provedor, derivado do template de URL
+function providerId(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+}
+
+// Compila o padrão de uma regra: "texto" ou "/texto/flags"; lança erro se inválido
+function compileRule(pattern) {
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+}
+
+// Valor em um caminho como "data.links[0].url"; undefined se não existir
+function getPath(value, path) {
+  return path.match(/[^.[\]]+/g).reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+// Identificação do provedor nos eventos de andamento dos jobs
+function providerRef(provider) {
+  return { id: provider.id, name: provider.name };
+}
+
+// Campos de provedor presentes no objeto (name, url, parse_json, response_key, validation)
+function pickProviderFields(data) {
+  const fields = {};
+  CONFIG.PROVIDERS.FIELDS.forEach(field => {
+    if (data && data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+}
+
+// Esquema das entradas de provedor
+const ProviderSchema = {
+  // Valida os campos de um provedor; retorna a lista de erros (vazia se válido)
+  validate({ name, url, parse_json, response_key, validation }) {
+    const errors = [];
+    if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+      errors.push('"url" deve ser uma URL http ou https');
+    } else if (!url.includes('{url}')) {
+      errors.push('"url" deve conter o marcador {url}');
+    } else {
+      try {
+        new URL(url.replace(/\{url\}/g, 'x'));
+      } catch (error) {
+        errors.push('"url" inválida');
+      }
+    }
+    if (parse_json !== undefined && typeof parse_json !== 'boolean') {
+      errors.push('"parse_json" deve ser booleano');
+    }
+    if (response_key !== undefined && response_key !== null && typeof response_key !== 'string') {
+      errors.push('"response_key" deve ser texto');
+    } else if (parse_json === true && !(response_key || '').trim()) {
+      errors.push('"response_key" é obrigatório quando "parse_json" é true');
+    }
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > CONFIG.PROVIDERS.MAX_NAME_LENGTH)) {
+      errors.push(`"name" deve ser texto de até ${CONFIG.PROVIDERS.MAX_NAME_LENGTH} caracteres`);
+    }
+    return errors.concat(this.validateRules(validation));
+  },
+
+  // Valida as regras de resposta de um provedor (null/ausente: sem regras)
+  validateRules(validation) {
+    if (validation === undefined || validation === null) return [];
+    if (typeof validation !== 'object' || Array.isArray(validation)) return ['"validation" deve ser um objeto'];
+    const errors = [];
+    const unknown = Object.keys(validation).filter(rule => !CONFIG.PROVIDERS.RULES.includes(rule));
+    if (unknown.length) errors.push(`Regras desconhecidas: ${unknown.join(', ')} (use ${CONFIG.PROVIDERS.RULES.join(', ')})`);
+    const { expectedStatus, jsonPath, mustMatch, mustNotMatch, maxLength } = validation;
+    if (expectedStatus !== undefined) {
+      const codes = [].concat(expectedStatus);
+      if (!codes.length || !codes.every(code => Number.isInteger(code) && code >= 100 && code <= 599)) {
+        errors.push('"validation.expectedStatus" deve ser um status HTTP ou uma lista de status');
+      }
+    }
+    if (jsonPath !== undefined && (typeof jsonPath !== 'string' || !/^[^.[\]]+(\.[^.[\]]+|\[\d+\])*$/.test(jsonPath))) {
+      errors.push('"validation.jsonPath" inválido (ex.: "data.links[0].url")');
+    }
+    [['mustMatch', mustMatch], ['mustNotMatch', mustNotMatch]].forEach(([rule, pattern]) => {
+      if (pattern === undefined) return;
+      try {
+        if (typeof pattern !== 'string') throw new Error('deve ser texto');
+        compileRule(pattern);
+      } catch (error) {
+        errors.push(`"validation.${rule}" não é uma expressão regular válida: ${error.message}`);
+      }
+    });
+    if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      errors.push('"validation.maxLength" deve ser um inteiro positivo');
+    }
+    return errors;
+  },
+
+  // Valida as configurações locais { enabled, priority }; retorna o erro ou null
+  validateSettings({ enabled, priority }) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') return '"enabled" deve ser booleano';
+    const { MIN_PRIORITY, MAX_PRIORITY } = CONFIG.PROVIDERS;
+    if (priority !== undefined && (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY)) {
+      return `"priority" deve ser um inteiro de ${MIN_PRIORITY} a ${MAX_PRIORITY}`;
+    }
+    return null;
+  },
+
+  normalize({ name, url, parse_json, response_key, validation }) {
+    return { name: name || null, url, parse_json: parse_json === true, response_key: response_key || null, validation: validation || null };
+  }
+};
+
+// Lista remota de provedores (repositório Git), mantida em memória e na
+// coleção bypass-remote-apis. É atualizada em segundo plano com requisições
+// condicionais; uma lista nova só substitui a atual depois de validada, e em
+// caso de falha continua valendo a última lista válida.
+const RemoteProviderList = {
+  apis: [],
+  etag: null,
+  lastModified: null,
+  // Última sincronização bem-sucedida (200 ou 304) e última alteração da lista
+  syncedAt: null,
+  changedAt: null,
+  checkedAt: null,
+  lastError: null,
+  loaded: false,
+  pending: null,
+  timer: null,
+
+  // Carrega a cópia gravada e inicia a atualização periódica
+  async init() {
+    const saved = await stores.remoteApis.read();
+    if (saved) {
+      Object.assign(this, {
+        apis: saved.apis,
+        etag: saved.etag,
+        lastModified: saved.lastModified,
+        syncedAt: saved.syncedAt,
+        changedAt: saved.changedAt,
+        loaded: true
+      });
+    }
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), CONFIG.FILES.APIS_REFRESH_INTERVAL);
+    this.timer.unref();
+  },
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+
+  // Lista atual; antes da primeira carga aguarda a atualização em andamento
+  async get() {
+    if (!this.loaded && this.pending) await this.pending;
+    return this.apis;
+  },
+
+  // Valida a lista recebida; retorna a mensagem de erro ou null. Entradas
+  // inválidas não impedem a troca (o registro as marca), mas uma lista sem
+  // nenhuma entrada válida é recusada.
+  validate(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.apis)) return 'Formato inválido: esperado { "apis": [...] }';
+    const valid = data.apis.filter(api => api && typeof api === 'object' && !ProviderSchema.validate(pickProviderFields(api)).length);
+    if (!valid.length) return 'A lista não tem nenhum provedor válido';
+    return null;
+  },
+
+  // Busca a lista remota; uma chamada durante a atualização espera por ela.
+  // force ignora ETag/Last-Modified e baixa a lista completa.
+  refresh({ force = false } = {}) {
+    if (!this.pending) {
+      this.pending = this._fetch(force).finally(() => {
+        this.pending = null;
+      });
     }
+    return this.pending;
   },
-  // Limpa o arquivo urls.json
-  async clearSavedUrls() {
+
+  async _fetch(force) {
+    this.checkedAt = new Date().toISOString();
+    const headers = {};
+    if (!force && this.loaded) {
+      if (this.etag) headers['If-None-Match'] = this.etag;
+      if (this.lastModified) headers['If-Modified-Since'] = this.lastModified;
+    }
     try {
-      await fs.writeFile(CONFIG.FILES.URLS_FILE, JSON.stringify({}, null, 2), 'utf-8');
+      const response = await axios.get(CONFIG.FILES.APIS_URL, {
+        headers,
+        timeout: CONFIG.FILES.APIS_TIMEOUT,
+        validateStatus: status => status === 200 || status === 304
+      });
+      if (response.status === 304) {
+        this.syncedAt = this.checkedAt;
+        this.lastError = null;
+        await this._save();
+        return { changed: false };
+      }
+      const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+      const error = this.validate(data);
+      if (error) throw new Error(`Lista remota recusada: ${error}`);
+      const changed = JSON.stringify(data.apis) !== JSON.stringify(this.apis);
+      if (changed) ProviderRegistry.invalidate();
+      Object.assign(this, {
+        apis: data.apis,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        syncedAt: this.checkedAt,
+        changedAt: changed || !this.changedAt ? this.checkedAt : this.changedAt,
+        lastError: null,
+        loaded: true
+      });
+      await this._save();
+      return { changed };
     } catch (error) {
-      console.error('Erro ao limpar urls.json:', error.message);
+      this.lastError = error.message;
+      console.error(`Erro ao carregar APIs (usando a última lista válida, ${this.apis.length} provedores):`, error.message);
+      return { changed: false, error: error.message };
     }
   },
-  // ================= Métodos para APIs adicionais (apisDat.json) =================
-  // Carrega as APIs adicionais do arquivo apisDat.json
-  async loadAdditionalApis() {
+
+  async _save() {
     try {
-      const data = await fs.readFile(CONFIG.FILES.APIS_DAT, 'utf-8');
-      return JSON.parse(data).apis || [];
+      await stores.remoteApis.write({
+        apis: this.apis,
+        etag: this.etag,
+        lastModified: this.lastModified,
+        syncedAt: this.syncedAt,
+        changedAt: this.changedAt
+      });
     } catch (error) {
-      // Se o arquivo não existir, retorna um array vazio
-      return [];
+      console.error('Erro ao salvar a lista de APIs:', error.message);
     }
   },
-  // Salva o array de APIs adicionais no arquivo apisDat.json
-  async saveAdditionalApis(apis) {
+
+  // Situação da sincronização (rotas de administração)
+  info() {
+    return {
+      url: CONFIG.FILES.APIS_URL,
+      providers: this.apis.length,
+      etag: this.etag,
+      lastModified: this.lastModified,
+      syncedAt: this.syncedAt,
+      changedAt: this.changedAt,
+      checkedAt: this.checkedAt,
+      lastError: this.lastError,
+      refreshIntervalMs: CONFIG.FILES.APIS_REFRESH_INTERVAL
+    };
+  }
+};
+
+// Registro único de provedores: a lista remota (repositório Git) somada às
+// adicionais da coleção bypass-apis. Provedores remotos não podem ser
+// alterados na origem; ativação, prioridade, edições e remoção ficam em
+// bypass-provider-overrides.
+const ProviderRegistry = {
+  // Lista combinada em memória (promessa), refeita após qualquer alteração
+  // dos provedores ou da lista remota
+  cached: null,
+
+  // Todos os provedores, inclusive desativados e inválidos
+  list() {
+    if (!this.cached) {
+      const loading = this._load();
+      this.cached = loading;
+      loading.catch(() => {
+        if (this.cached === loading) this.cached = null;
+      });
+    }
+    return this.cached;
+  },
+
+  invalidate() {
+    this.cached = null;
+  },
+
+  // Alteração exclusiva de uma das coleções de provedores, descartando a lista em memória
+  async _write(store, fn) {
     try {
-      await fs.writeFile(CONFIG.FILES.APIS_DAT, JSON.stringify({ apis }, null, 2), 'utf-8');
-    } catch (error) {
-      console.error('Erro ao salvar apisDat.json:', error.message);
+      return await store.update(fn);
+    } finally {
+      this.invalidate();
     }
   },
-  // Adiciona uma nova API ao arquivo apisDat.json (evita duplicatas)
-  async addAdditionalApi(newApi) {
-    let additionalApis = await this.loadAdditionalApis();
-    if (additionalApis.find(api => api.url === newApi.url)) {
-      return false;
+
+  async _load() {
+    const [remote, local, overrides] = await Promise.all([
+      FileService.loadApis(),
+      FileService.loadAdditionalApis(),
+      stores.overrides.read()
+    ]);
+    const providers = [];
+    const seen = new Set();
+    remote.forEach(api => {
+      if (!api || typeof api.url !== 'string') return;
+      const id = providerId(api.url);
+      const override = overrides[id] || {};
+      if (seen.has(id) || override.deleted) return;
+      seen.add(id);
+      providers.push(this._entry(id, 'remote', { ...pickProviderFields(api), ...override.fields }, override));
+    });
+    local.forEach(api => {
+      if (seen.has(api.id)) return;
+      seen.add(api.id);
+      providers.push(this._entry(api.id, 'local', pickProviderFields(api), api));
+    });
+    return providers;
+  },
+
+  _entry(id, source, fields, settings) {
+    const errors = ProviderSchema.validate(fields);
+    return {
+      id,
+      source,
+      ...ProviderSchema.normalize(fields),
+      enabled: settings.enabled !== false,
+      priority: settings.priority || 0,
+      valid: !errors.length,
+      errors
+    };
+  },
+
+  async find(id) {
+    return (await this.list()).find(provider => provider.id === id) || null;
+  },
+
+  // Provedores usados no bypass: ativos e válidos, por prioridade (maior
+  // primeiro) e, na mesma prioridade, pelo desempenho
+  async active() {
+    const providers = (await this.list()).filter(provider => provider.enabled && provider.valid);
+    return ApiPerformanceTracker.sortApis(providers).sort((a, b) => b.priority - a.priority);
+  },
+
+  // Adiciona um provedor local. Informar a URL de um provedor remoto removido
+  // o restaura. Retorna { provider, restored } ou { status, error }
+  async add(data) {
+    const fields = pickProviderFields(data);
+    const errors = ProviderSchema.validate(fields);
+    const settingsError = ProviderSchema.validateSettings(data || {});
+    if (errors.length || settingsError) return { status: 400, error: [...errors, settingsError].filter(Boolean).join('; ') };
+
+    const id = providerId(fields.url);
+    const remote = await FileService.loadApis();
+    if (remote.some(api => api && api.url === fields.url)) {
+      const restored = await this._write(stores.overrides, overrides => {
+        if (!overrides[id] || !overrides[id].deleted) return false;
+        delete overrides[id].deleted;
+        return true;
+      });
+      if (!restored) return { status: 409, error: 'API já existe no sistema (Git).' };
+      return { provider: await this.find(id), restored: true };
     }
-    additionalApis.push(newApi);
-    await this.saveAdditionalApis(additionalApis);
-    return true;
+
+    const added = await this._write(stores.apisDat, additionalApis => {
+      if (additionalApis.some(api => api.id === id || api.url === fields.url)) return false;
+      additionalApis.push({
+        id,
+        ...ProviderSchema.normalize(fields),
+        enabled: data.enabled !== false,
+        priority: data.priority || 0,
+        addedAt: new Date().toISOString()
+      });
+      return true;
+    });
+    if (!added) return { status: 409, error: 'API já existe no sistema (apisDat).' };
+    return { provider: await this.find(id), restored: false };
+  },
+
+  // Altera campos (name, url, parse_json, response_key) e configurações
+  // (enabled, priority). Retorna { provider } ou { status, error }
+  async update(id, changes) {
+    const current = await this.find(id);
+    if (!current) return { status: 404, error: 'Provedor não encontrado.' };
+    const fields = pickProviderFields(changes);
+    const settings = {};
+    ['enabled', 'priority'].forEach(field => {
+      if (changes[field] !== undefined) settings[field] = changes[field];
+    });
+    if (!Object.keys(fields).length && !Object.keys(settings).length) {
+      return { status: 400, error: `Informe ao menos um campo: ${[...CONFIG.PROVIDERS.FIELDS, 'enabled', 'priority'].join(', ')}` };
+    }
+    const settingsError = ProviderSchema.validateSettings(settings);
+    if (settingsError) return { status: 400, error: settingsError };
+    const merged = { ...pickProviderFields(current), ...fields };
+    const errors = ProviderSchema.validate(merged);
+    if (errors.length) return { status: 400, error: errors.join('; ') };
+    if (fields.url && fields.url !== current.url) {
+      const others = (await this.list()).filter(provider => provider.id !== id);
+      if (others.some(provider => provider.url === fields.url)) return { status: 409, error: 'Já existe um provedor com essa URL.' };
+    }
+
+    const updatedAt = new Date().toISOString();
+    if (current.source === 'local') {
+      await this._write(stores.apisDat, additionalApis => {
+        const api = additionalApis.find(item => item.id === id);
+        if (api) Object.assign(api, fields, settings, { updatedAt });
+      });
+    } else {
+      await this._write(stores.overrides, overrides => {
+        const override = overrides[id] || {};
+        overrides[id] = { ...override, ...settings, updatedAt };
+        if (Object.keys(fields).length) overrides[id].fields = { ...override.fields, ...fields };
+      });
+    }
+    return { provider: await this.find(id) };
+  },
+
+  // Remove um provedor local; um remoto é apenas ocultado (pode ser
+  // restaurado adicionando a mesma URL). Retorna o provedor removido ou null
+  async remove(id) {
+    const current = await this.find(id);
+    if (!current) return null;
+    if (current.source === 'local') {
+      await this._write(stores.apisDat, additionalApis => {
+        const index = additionalApis.findIndex(api => api.id === id);
+        if (index !== -1) additionalApis.splice(index, 1);
+      });
+    } else {
+      await this._write(stores.overrides, overrides => {
+        overrides[id] = { ...overrides[id], deleted: true, updatedAt: new Date().toISOString() };
+      });
+    }
+    return current;
+  },
+
+  // Atribui id às APIs adicionais gravadas antes do registro de provedores
+  async migrate() {
+    await this._write(stores.apisDat, additionalApis => {
+      additionalApis.forEach(api => {
+        if (!api.id && typeof api.url === 'string') api.id = providerId(api.url);
+      });
+    });
   }
 };
 
-const StatusService = {
-  // Retorna os dados de status, ou cria um objeto padrão se não existir
-  async getStatus() {
+// Cache dos resultados do /bypass: LRU em memória limitado a MAX_ENTRIES, com
+// validade por entrada. Falhas da consulta aos provedores ficam em cache por
+// pouco tempo (cache negativo), e chamadas simultâneas para a mesma URL
+// compartilham uma única consulta. Com PERSIST, os resultados válidos são
+// gravados em bypass-urls e recarregados no próximo início.
+const ResultCache = {
+  // Map em ordem de uso: a primeira entrada é a usada há mais tempo
+  entries: new Map(),
+  inflight: new Map(),
+  stats: { hits: 0, negativeHits: 0, misses: 0, coalesced: 0, evictions: 0 },
+  dirty: false,
+
+  _get(url) {
+    const entry = this.entries.get(url);
+    if (!entry) return null;
+    this.entries.delete(url);
+    if (entry.expiresAt <= Date.now()) {
+      this.dirty = true;
+      return null;
+    }
+    this.entries.set(url, entry);
+    return entry;
+  },
+
+  _set(url, entry) {
+    this.entries.delete(url);
+    this.entries.set(url, entry);
+    while (this.entries.size > CONFIG.CACHE.MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+    this.dirty = true;
+  },
+
+  // Resolve a URL pelo cache ou com loader(url). Retorna { result, source }
+  // (source: cache, coalesced ou fresh). Uma falha em cache é lançada de
+  // novo; erros do loader com negativeCache ficam em cache por NEGATIVE_TTL.
+  async resolve(url, loader) {
+    const entry = this._get(url);
+    if (entry && entry.error) {
+      this.stats.negativeHits++;
+      throw new Error(entry.error);
+    }
+    if (entry) {
+      this.stats.hits++;
+      return { result: entry.response, source: 'cache' };
+    }
+    if (this.inflight.has(url)) {
+      this.stats.coalesced++;
+      return { result: await this.inflight.get(url), source: 'coalesced' };
+    }
+    this.stats.misses++;
+    const pending = loader(url);
+    this.inflight.set(url, pending);
     try {
-      const data = await fs.readFile(CONFIG.FILES.STAT_FILE, 'utf-8');
-      return JSON.parse(data);
+      const result = await pending;
+      this._set(url, { response: result, timestamp: Date.now(), expiresAt: Date.now() + CONFIG.CACHE.TTL });
+      return { result, source: 'fresh' };
     } catch (error) {
-      return { totalRequests: 0, successfulRequests: 0, failedRequests: 0 };
+      if (error.negativeCache) {
+        this._set(url, { error: error.message, timestamp: Date.now(), expiresAt: Date.now() + CONFIG.CACHE.NEGATIVE_TTL });
+      }
+      throw error;
+    } finally {
+      this.inflight.delete(url);
     }
   },
-  // Salva os dados de status
-  async saveStatus(status) {
+
+  // Remove uma URL do cache (ou todas, sem url); retorna quantas saíram
+  clear(url) {
+    const count = url ? Number(this.entries.delete(url)) : this.entries.size;
+    if (!url) this.entries.clear();
+    if (count) this.dirty = true;
+    return count;
+  },
+
+  // Descarta as entradas vencidas
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, url) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(url);
+        this.dirty = true;
+      }
+    });
+  },
+
+  // Entradas em vigor: { [url]: { response | error, timestamp, expiresAt } }
+  snapshot({ includeFailures = true } = {}) {
+    const now = Date.now();
+    const result = {};
+    this.entries.forEach((entry, url) => {
+      if (entry.expiresAt > now && (includeFailures || !entry.error)) result[url] = entry;
+    });
+    return result;
+  },
+
+  // URL do resultado válido mais recente, ou null
+  latestUrl() {
+    let latest = null;
+    this.entries.forEach((entry, url) => {
+      if (!entry.error && (!latest || entry.timestamp >= latest.timestamp)) latest = { url, timestamp: entry.timestamp };
+    });
+    return latest ? latest.url : null;
+  },
+
+  info() {
+    const lookups = this.stats.hits + this.stats.negativeHits + this.stats.misses + this.stats.coalesced;
+    return {
+      size: this.entries.size,
+      maxEntries: CONFIG.CACHE.MAX_ENTRIES,
+      ttlMs: CONFIG.CACHE.TTL,
+      negativeTtlMs: CONFIG.CACHE.NEGATIVE_TTL,
+      persist: CONFIG.CACHE.PERSIST,
+      inflight: this.inflight.size,
+      ...this.stats,
+      // Requisições respondidas pelo cache (resultados e falhas) sobre o total
+      hitRatio: lookups ? Math.round(((this.stats.hits + this.stats.negativeHits) / lookups) * 1000) / 1000 : null
+    };
+  },
+
+  // Recarrega os resultados gravados; entradas antigas sem expiresAt valem
+  // TTL a partir do timestamp
+  async load() {
+    if (!CONFIG.CACHE.PERSIST) return;
+    const saved = await FileService.loadSavedUrls();
+    const now = Date.now();
+    Object.entries(saved)
+      .map(([url, entry]) => [url, { ...entry, expiresAt: entry.expiresAt || entry.timestamp + CONFIG.CACHE.TTL }])
+      .filter(([, entry]) => !entry.error && entry.expiresAt > now)
+      .sort(([, a], [, b]) => a.timestamp - b.timestamp)
+      .forEach(([url, entry]) => this._set(url, entry));
+    this.dirty = false;
+  },
+
+  async flush() {
+    if (!CONFIG.CACHE.PERSIST || !this.dirty) return;
+    this.dirty = false;
+    await FileService.saveUrls(this.snapshot({ includeFailures: false }));
+  }
+};
+
+const StatusService = {
+  // Retorna os dados de status (padrão zerado se ainda não existir)
+  async getStatus() {
+    return stores.status.read();
+  },
+  // Incrementa um contador de forma atômica
+  async _increment(field) {
     try {
-      await fs.writeFile(CONFIG.FILES.STAT_FILE, JSON.stringify(status, null, 2), 'utf-8');
+      await stores.status.update(status => {
+        status[field] = (status[field] || 0) + 1;
+      });
     } catch (error) {
       console.error('Erro ao salvar status:', error.message);
     }
   },
-  async incrementTotal() {
-    const status = await this.getStatus();
-    status.totalRequests = (status.totalRequests || 0) + 1;
-    await this.saveStatus(status);
+  incrementTotal() {
+    return this._increment('totalRequests');
   },
-  async incrementSuccess() {
-    const status = await this.getStatus();
-    status.successfulRequests = (status.successfulRequests || 0) + 1;
-    await this.saveStatus(status);
+  incrementSuccess() {
+    return this._increment('successfulRequests');
   },
-  async incrementFailure() {
-    const status = await this.getStatus();
-    status.failedRequests = (status.failedRequests || 0) + 1;
-    await this.saveStatus(status);
+  incrementFailure() {
+    return this._increment('failedRequests');
   }
 };
 
+// Valida as respostas dos provedores. Cada provedor pode ter regras próprias
+// em "validation" (expectedStatus, jsonPath, mustMatch, mustNotMatch,
+// maxLength); as listas globais de palavras-chave só são usadas quando o
+// provedor não define regras para o conteúdo.
 const ValidationService = {
   _toString(response) {
     return typeof response === 'string' ? response : JSON.stringify(response);
@@ -205,10 +976,61 @@ const ValidationService = {
     const text = this._toString(responseText);
     if (/^[a-f0-9]{32}$/i.test(text)) return true;
     return !this.isErrorResponse(text) && this.isSuccessResponse(text);
+  },
+  _parseJson(data) {
+    if (typeof data !== 'string') return data;
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return undefined;
+    }
+  },
+  // Aplica as regras do provedor a uma resposta { status, data }.
+  // Retorna { valid, value, rules: [{ rule, passed, detail }] }, com o valor
+  // extraído e o resultado de cada regra na ordem em que foi verificada.
+  evaluate(provider, { status, data }) {
+    const rules = provider.validation || {};
+    const results = [];
+    const check = (rule, passed, detail) => results.push({ rule, passed, detail });
+
+    const expected = rules.expectedStatus === undefined ? null : [].concat(rules.expectedStatus);
+    check('expectedStatus',
+      expected ? expected.includes(status) : status >= 200 && status < 300,
+      `HTTP ${status}, esperado ${expected ? expected.join(' ou ') : '2xx'}`);
+
+    let value = data;
+    if (rules.jsonPath || provider.parse_json) {
+      const path = rules.jsonPath || provider.response_key;
+      const json = this._parseJson(data);
+      value = json === undefined || json === null ? undefined : rules.jsonPath ? getPath(json, path) : json[path];
+      const found = value !== undefined && value !== null;
+      check(rules.jsonPath ? 'jsonPath' : 'response_key', found,
+        json === undefined ? 'A resposta não é JSON' : found ? `Valor encontrado em "${path}"` : `"${path}" não encontrado na resposta`);
+    }
+    const text = value === undefined || value === null ? '' : this._toString(value);
+    check('notEmpty', text.trim().length > 0, text.trim().length ? `${text.length} caracteres` : 'Resultado vazio');
+
+    const hasContentRules = ['mustMatch', 'mustNotMatch', 'maxLength'].some(rule => rules[rule] !== undefined);
+    if (rules.maxLength !== undefined) {
+      check('maxLength', text.length <= rules.maxLength, `${text.length} caracteres (máximo ${rules.maxLength})`);
+    }
+    if (rules.mustMatch !== undefined) {
+      const passed = compileRule(rules.mustMatch).test(text);
+      check('mustMatch', passed, `${passed ? 'Corresponde' : 'Não corresponde'} a ${rules.mustMatch}`);
+    }
+    if (rules.mustNotMatch !== undefined) {
+      const passed = !compileRule(rules.mustNotMatch).test(text);
+      check('mustNotMatch', passed, `${passed ? 'Não corresponde' : 'Corresponde'} a ${rules.mustNotMatch}`);
+    }
+    if (!hasContentRules) {
+      check('keywords', this.isValidResponse(text), 'Listas globais de palavras-chave (provedor sem regras de conteúdo)');
+    }
+    return { valid: results.every(result => result.passed), value, rules: results };
   }
 };
 
-// Retorna a primeira promessa com resposta válida
+// Retorna a primeira promessa com resposta válida (as tentativas já validam
+// a resposta com as regras do provedor e retornam null quando ela é inválida)
 function firstValid(promises) {
   return new Promise((resolve, reject) => {
     let settledCount = 0;
@@ -216,7 +1038,7 @@ function firstValid(promises) {
     promises.forEach(p => {
       p.then(result => {
         settledCount++;
-        if (result && ValidationService.isValidResponse(result) && !resolved) {
+        if (result !== null && result !== undefined && !resolved) {
           resolved = true;
           resolve(result);
         } else if (settledCount === promises.length && !resolved) {
@@ -233,105 +1055,334 @@ function firstValid(promises) {
 }
 
 const BypassService = {
-  // Processa a URL, usando cache se disponível e priorizando APIs mais performáticas
-  async processUrl(url) {
+  // Processa a URL, usando cache se disponível e priorizando APIs mais performáticas.
+  // onProgress(tipo, dados) recebe o andamento da consulta aos provedores (jobs)
+  async processUrl(url, onProgress = () => {}) {
     const startTime = performance.now();
-    let apis = await FileService.loadApis();
-    if (!apis.length) throw new Error('Nenhuma API configurada');
-
-    // Ordena as APIs com base no desempenho
-    apis = ApiPerformanceTracker.sortApis(apis);
-
-    // Verifica cache
-    const savedUrls = await FileService.loadSavedUrls();
-    const savedUrl = savedUrls[url];
-    if (savedUrl && (Date.now() - savedUrl.timestamp) < CONFIG.CACHE_DURATION) {
-      const endTime = performance.now();
-      return {
-        result: savedUrl.response,
-        message: "URL já foi processada recentemente.",
-        time: `${Math.round(endTime - startTime)}ms`,
-        creditos: { Equipe: "Tekscripts", Server: "https://discord.gg/dHFPxSTBYT" }
-      };
-    }
+    const { result, source } = await ResultCache.resolve(url, () => this._queryProviders(url, onProgress));
+    if (source !== 'fresh') onProgress(source === 'cache' ? 'cache.hit' : 'cache.coalesced', {});
+    const endTime = performance.now();
+    return {
+      result,
+      ...(source === 'cache' && { message: "URL já foi processada recentemente." }),
+      time: `${Math.round(endTime - startTime)}ms`,
+      creditos: { Equipe: "Tekscripts", Server: "https://discord.gg/dHFPxSTBYT" }
+    };
+  },
+  // Consulta os provedores ativos ao mesmo tempo e retorna a primeira resposta válida
+  async _queryProviders(url, onProgress) {
+    // Provedores ativos, já ordenados por prioridade e desempenho
+    const providers = await ProviderRegistry.active();
+    if (!providers.length) throw new Error('Nenhuma API configurada');
+
+    // Provedores com o circuit breaker aberto ficam de fora
+    const apis = providers.filter(api => {
+      const allowed = ApiPerformanceTracker.allow(api);
+      if (!allowed) onProgress('provider.skipped', { provider: providerRef(api), reason: 'circuit-open' });
+      return allowed;
+    });
+    if (!apis.length) throw new Error('Nenhuma API disponível no momento (todas com falhas recentes)');
 
     // Cria um AbortController para cancelar requisições pendentes
     const abortController = new AbortController();
     // Requisições concorrentes para as APIs (em ordem de prioridade)
-    const requests = apis.map(api => this._tryApiWithRetry(url, api, 1, abortController));
-    let result;
+    const requests = apis.map(api => this._tryApiWithRetry(url, api, 1, abortController, onProgress));
     try {
-      result = await firstValid(requests);
+      const result = await firstValid(requests);
       // Aborta as outras requisições
       abortController.abort();
+      return result;
     } catch (err) {
-      throw new Error(err.message);
+      // Todos os provedores falharam: a falha entra no cache negativo
+      throw Object.assign(new Error(err.message), { negativeCache: true });
     }
-    const endTime = performance.now();
-    // Salva resposta válida no cache
-    await FileService.saveUrl(url, result);
-    return {
-      result,
-      time: `${Math.round(endTime - startTime)}ms`,
-      creditos: { Equipe: "Tekscripts", Server: "https://discord.gg/dHFPxSTBYT" }
-    };
+  },
+  // Chama o provedor; retorna { status, data, outcome } com o resultado das
+  // regras de validação
+  async _requestProvider(url, apiConfig, { signal, timeout }) {
+    const apiUrl = apiConfig.url.replace('{url}', encodeURIComponent(url));
+    const response = await axios.get(apiUrl, { timeout, signal, validateStatus: () => true });
+    const outcome = ValidationService.evaluate(apiConfig, { status: response.status, data: response.data });
+    return { status: response.status, data: response.data, outcome };
+  },
+  // Chama o provedor e retorna o resultado extraído; lança erro se a resposta for inválida
+  async _callProvider(url, apiConfig, options) {
+    const { outcome } = await this._requestProvider(url, apiConfig, options);
+    if (!outcome.valid) {
+      throw new Error(`Resposta inválida (regra ${outcome.rules.find(result => !result.passed).rule})`);
+    }
+    return outcome.value;
   },
   // Tenta a API com retry e registra o desempenho
-  async _tryApiWithRetry(url, apiConfig, attempt = 1, abortController) {
-    if (abortController.signal.aborted) return null;
+  async _tryApiWithRetry(url, apiConfig, attempt = 1, abortController, onProgress = () => {}) {
+    if (abortController.signal.aborted) {
+      ApiPerformanceTracker.release(apiConfig);
+      return null;
+    }
+    const provider = providerRef(apiConfig);
+    onProgress('provider.started', { provider, attempt });
     const startApiTime = performance.now();
     try {
-      const apiUrl = apiConfig.url.replace('{url}', encodeURIComponent(url));
-      const response = await axios.get(apiUrl, {
-        timeout: CONFIG.SERVER.TIMEOUT,
-        signal: abortController.signal
-      });
-      const result = apiConfig.parse_json ? response.data[apiConfig.response_key] : response.data;
-      const endApiTime = performance.now();
-      const responseTime = endApiTime - startApiTime;
-      if (ValidationService.isValidResponse(result)) {
-        ApiPerformanceTracker.record(apiConfig.url, responseTime, true);
-        return result;
-      }
-      throw new Error('Resposta inválida');
+      const result = await this._callProvider(url, apiConfig, { signal: abortController.signal, timeout: CONFIG.SERVER.TIMEOUT });
+      const responseTime = performance.now() - startApiTime;
+      ApiPerformanceTracker.record(apiConfig, responseTime, true);
+      HealthProber.lastUrl = url;
+      onProgress('provider.succeeded', { provider, attempt, durationMs: Math.round(responseTime) });
+      return result;
     } catch (error) {
-      const endApiTime = performance.now();
-      const responseTime = endApiTime - startApiTime;
-      ApiPerformanceTracker.record(apiConfig.url, responseTime, false);
-      if (attempt < CONFIG.API.RETRY_LIMIT && !abortController.signal.aborted) {
+      // Cancelada porque outro provedor respondeu antes: não conta como falha
+      if (abortController.signal.aborted) {
+        ApiPerformanceTracker.release(apiConfig);
+        return null;
+      }
+      const responseTime = performance.now() - startApiTime;
+      ApiPerformanceTracker.record(apiConfig, responseTime, false);
+      onProgress('provider.failed', { provider, attempt, durationMs: Math.round(responseTime), error: error.message });
+      if (attempt < CONFIG.API.RETRY_LIMIT && ApiPerformanceTracker.allow(apiConfig)) {
         await new Promise(res => setTimeout(res, CONFIG.API.RETRY_DELAY));
-        return this._tryApiWithRetry(url, apiConfig, attempt + 1, abortController);
+        return this._tryApiWithRetry(url, apiConfig, attempt + 1, abortController, onProgress);
       }
       return null;
     }
   }
 };
 
-module.exports.setup = function(app) {
-  // Middleware para validar chave e URL para a rota /bypass
-  function ApiKeyMiddleware(req, res, next) {
-    if (req.query.key !== CONFIG.API.KEY) {
-      return res.status(401).json({ error: 'Chave de API inválida' });
+// Jobs do modo assíncrono do /bypass. Ficam só em memória: cada job guarda os
+// eventos de andamento (provedores tentados, falhas e resultado final), que
+// são enviados a quem acompanha por SSE. Jobs concluídos expiram após
+// RETENTION; jobs em andamento não se perdem por expiração.
+const JobService = {
+  jobs: new Map(),
+  // Por id do job: assinantes { send(evento), end() } das conexões SSE
+  subscribers: new Map(),
+
+  // Cria o job e inicia o processamento; retorna null se o limite de jobs foi atingido
+  create(url, ownerId) {
+    this.sweep();
+    if (this.jobs.size >= CONFIG.JOBS.MAX_JOBS) return null;
+    const job = {
+      id: crypto.randomBytes(12).toString('hex'),
+      url,
+      ownerId,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      providers: { tried: [], failed: [], succeeded: null },
+      result: null,
+      error: null,
+      events: []
+    };
+    this.jobs.set(job.id, job);
+    this._emit(job, 'queued', { url });
+    setImmediate(() => this._run(job));
+    return job;
+  },
+
+  get(id) {
+    const job = this.jobs.get(id);
+    if (!job || (job.expiresAt && Date.parse(job.expiresAt) <= Date.now())) return null;
+    return job;
+  },
+
+  _emit(job, type, data) {
+    const event = { seq: job.events.length + 1, type, at: new Date().toISOString(), data };
+    job.events.push(event);
+    (this.subscribers.get(job.id) || new Set()).forEach(subscriber => subscriber.send(event));
+    return event;
+  },
+
+  // Registra o andamento recebido do BypassService.processUrl
+  _progress(job, type, data) {
+    const { provider } = data;
+    if (type === 'provider.started' && !job.providers.tried.some(p => p.id === provider.id)) {
+      job.providers.tried.push(provider);
     }
-    if (!req.query.url) {
-      return res.status(400).json({ error: 'URL não fornecida' });
+    if (type === 'provider.failed') {
+      job.providers.failed.push({ ...provider, attempt: data.attempt, error: data.error });
     }
-    if (!req.query.url.startsWith('https://')) {
-      return res.status(400).json({ error: 'URL inválida: deve iniciar com "https://"' });
+    if (type === 'provider.succeeded') {
+      job.providers.succeeded = provider;
     }
-    next();
+    this._emit(job, type, data);
+  },
+
+  async _run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this._emit(job, 'started', {});
+    let response = null;
+    let failure = null;
+    try {
+      response = await BypassService.processUrl(job.url, (type, data) => this._progress(job, type, data));
+    } catch (error) {
+      failure = error;
+    }
+    // Status e evento final no mesmo passo síncrono: quem vê o job concluído
+    // (inclusive uma conexão SSE nova) já encontra o evento em job.events
+    job.status = failure ? 'failed' : 'succeeded';
+    job.result = response;
+    job.error = failure ? failure.message : null;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + CONFIG.JOBS.RETENTION).toISOString();
+    if (failure) {
+      this._emit(job, 'failed', { error: job.error });
+    } else {
+      this._emit(job, 'completed', job.result);
+    }
+    (this.subscribers.get(job.id) || new Set()).forEach(subscriber => subscriber.end());
+    this.subscribers.delete(job.id);
+    await (failure ? StatusService.incrementFailure() : StatusService.incrementSuccess());
+    await StatusService.incrementTotal();
+  },
+
+  isFinished(job) {
+    return job.status === 'succeeded' || job.status === 'failed';
+  },
+
+  // Acompanha os eventos do job; retorna a função que cancela a inscrição
+  subscribe(job, subscriber) {
+    if (!this.subscribers.has(job.id)) this.subscribers.set(job.id, new Set());
+    this.subscribers.get(job.id).add(subscriber);
+    return () => {
+      const set = this.subscribers.get(job.id);
+      if (set) set.delete(subscriber);
+    };
+  },
+
+  // Job como retornado ao cliente (eventos só quando pedidos)
+  view(job, { events = false } = {}) {
+    const { ownerId, events: allEvents, ...info } = job;
+    return events ? { ...info, events: allEvents } : info;
+  },
+
+  // Remove os jobs concluídos cuja retenção terminou
+  sweep() {
+    const now = Date.now();
+    this.jobs.forEach((job, id) => {
+      if (job.expiresAt && Date.parse(job.expiresAt) <= now) this.jobs.delete(id);
+    });
+  },
+
+  // Encerra as conexões SSE abertas (descarregamento do módulo)
+  closeStreams() {
+    this.subscribers.forEach(set => set.forEach(subscriber => subscriber.end()));
+    this.subscribers.clear();
   }
+};
+
+// Testa periodicamente, com a URL de exemplo, os provedores com o breaker aberto
+const HealthProber = {
+  timer: null,
+  running: false,
+  // Última URL resolvida com sucesso, usada quando BYPASS_PROBE_URL não é definida
+  lastUrl: null,
 
-  // Middleware para rotas administrativas
-  function AdminAuthMiddleware(req, res, next) {
-    if (req.query.admin_key !== 'admintekscripts') {
-      return res.status(401).json({ error: 'Chave de administração inválida' });
+  url() {
+    return CONFIG.PROBE.URL || this.lastUrl;
+  },
+
+  start() {
+    if (this.timer) return;
+    if (!CONFIG.PROBE.URL) {
+      console.log('BYPASS_PROBE_URL não definida; o teste de provedores usa a última URL resolvida com sucesso.');
+    }
+    this.timer = setInterval(() => this.run(), CONFIG.PROBE.INTERVAL);
+    this.timer.unref();
+  },
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+
+  async run() {
+    const url = this.url();
+    if (this.running || !url) return;
+    this.running = true;
+    try {
+      const providers = (await ProviderRegistry.list()).filter(provider => provider.enabled && provider.valid);
+      for (const provider of ApiPerformanceTracker.dueForProbe(providers)) {
+        const start = performance.now();
+        try {
+          await BypassService._callProvider(url, provider, { timeout: CONFIG.PROBE.TIMEOUT });
+          ApiPerformanceTracker.recordProbe(provider, performance.now() - start, true);
+        } catch (error) {
+          ApiPerformanceTracker.recordProbe(provider, performance.now() - start, false, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Erro ao testar os provedores:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+};
+
+// Timer da limpeza e gravação periódica do cache (iniciado no setup)
+let cacheInterval = null;
+// Timer da gravação do estado dos provedores (iniciado no setup)
+let healthFlushInterval = null;
+// Timer da remoção dos jobs expirados (iniciado no setup)
+let jobsSweepInterval = null;
+
+module.exports.manifest = {
+  name: 'bypass',
+  version: '1.6.0',
+  prefix: '/',
+  dependencies: []
+};
+
+module.exports.setup = async function(app, { auth, storage }) {
+  stores.urls = storage.collection(CONFIG.COLLECTIONS.URLS, {});
+  stores.status = storage.collection(CONFIG.COLLECTIONS.STATUS, { totalRequests: 0, successfulRequests: 0, failedRequests: 0 });
+  stores.apisDat = storage.collection(CONFIG.COLLECTIONS.APIS_DAT, []);
+  stores.overrides = storage.collection(CONFIG.COLLECTIONS.OVERRIDES, {});
+  stores.health = storage.collection(CONFIG.COLLECTIONS.HEALTH, {});
+  stores.remoteApis = storage.collection(CONFIG.COLLECTIONS.REMOTE_APIS, null);
+  await ProviderRegistry.migrate();
+  await RemoteProviderList.init();
+  await ApiPerformanceTracker.load(stores.health);
+
+  healthFlushInterval = setInterval(() => {
+    ApiPerformanceTracker.flush();
+  }, CONFIG.BREAKER.PERSIST_INTERVAL);
+  HealthProber.start();
+  jobsSweepInterval = setInterval(() => JobService.sweep(), CONFIG.JOBS.SWEEP_INTERVAL);
+
+  // Descarta resultados vencidos e grava o cache periodicamente
+  await ResultCache.load();
+  HealthProber.lastUrl = ResultCache.latestUrl();
+  cacheInterval = setInterval(() => {
+    ResultCache.prune();
+    ResultCache.flush();
+  }, CONFIG.CACHE.PERSIST_INTERVAL);
+
+  // Chave de uso do bypass; ?key= continua aceito pelos clientes antigos
+  const ApiKeyMiddleware = auth.require('bypass:use', { query: 'key' });
+
+  // Valida a URL enviada ao bypass; retorna a mensagem de erro ou null
+  function validateBypassUrl(url) {
+    if (!url) return 'URL não fornecida';
+    if (typeof url !== 'string' || !url.startsWith('https://')) return 'URL inválida: deve iniciar com "https://"';
+    return null;
+  }
+
+  // Middleware para validar a URL da rota /bypass
+  function UrlMiddleware(req, res, next) {
+    const error = validateBypassUrl(req.query.url);
+    if (error) {
+      return res.status(400).json({ error });
     }
     next();
   }
 
+  // Middleware para rotas administrativas; ?admin_key= continua aceito
+  const AdminAuthMiddleware = auth.require('bypass:admin', { query: 'admin_key' });
+
   // Rota /bypass
-  app.get('/bypass', ApiKeyMiddleware, async (req, res) => {
+  app.get('/bypass', ApiKeyMiddleware, UrlMiddleware, async (req, res) => {
     if (!bypassEnabled) {
       return res.status(503).json({ error: 'Bypass está desativado no momento.' });
     }
@@ -350,17 +1401,92 @@ module.exports.setup = function(app) {
     }
   });
 
-  // Rota para ler urls.json (público ou pode ser restringida)
-  app.get('/get-urls', async (req, res) => {
-    try {
-      const urlsJson = await FileService.getUrlsJson();
-      res.json(urlsJson);
-    } catch (error) {
-      res.status(500).json({ error: 'Erro ao ler o arquivo urls.json' });
+  // ===================== Modo assíncrono (jobs) =====================
+
+  // Só a chave que criou o job (ou uma chave de administração) pode acompanhá-lo
+  function findJob(req, res) {
+    const job = JobService.get(req.params.id);
+    if (!job || (job.ownerId !== req.auth.id && !auth.hasScope(req.auth, 'bypass:admin'))) {
+      res.status(404).json({ error: 'Job não encontrado ou expirado' });
+      return null;
+    }
+    return job;
+  }
+
+  // Rota para criar um job de bypass; responde na hora com o id do job
+  // Exemplo de uso: POST /bypass/jobs com { "url": "https://..." } (ou ?url=)
+  // Depois: GET /bypass/jobs/<id> (consulta) ou GET /bypass/jobs/<id>/events (SSE)
+  app.post('/bypass/jobs', ApiKeyMiddleware, (req, res) => {
+    if (!bypassEnabled) {
+      return res.status(503).json({ error: 'Bypass está desativado no momento.' });
+    }
+    const url = (req.body && req.body.url) || req.query.url;
+    const error = validateBypassUrl(url);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const job = JobService.create(url, req.auth.id);
+    if (!job) {
+      return res.status(503).json({ error: 'Muitos jobs em andamento. Tente novamente em instantes.' });
+    }
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/bypass/jobs/${job.id}`,
+      eventsUrl: `/bypass/jobs/${job.id}/events`,
+      retentionMs: CONFIG.JOBS.RETENTION
+    });
+  });
+
+  // Rota para consultar um job (?events=1 inclui o histórico de eventos)
+  app.get('/bypass/jobs/:id', ApiKeyMiddleware, (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json(JobService.view(job, { events: req.query.events === '1' || req.query.events === 'true' }));
+  });
+
+  // Rota para acompanhar um job por server-sent events. Envia os eventos já
+  // ocorridos (a partir do Last-Event-ID, se informado) e os novos até o
+  // evento final (completed ou failed), quando a conexão é encerrada.
+  app.get('/bypass/jobs/:id/events', ApiKeyMiddleware, (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = event => res.write(`id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    const lastEventId = parseInt(req.get('last-event-id')) || 0;
+    job.events.filter(event => event.seq > lastEventId).forEach(send);
+    if (JobService.isFinished(job)) {
+      return res.end();
     }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), CONFIG.JOBS.HEARTBEAT_INTERVAL);
+    const unsubscribe = JobService.subscribe(job, {
+      send,
+      end: () => {
+        clearInterval(heartbeat);
+        res.end();
+      }
+    });
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
   });
 
-  // Rota para exibir o status das requisições (arquivo oculto .status.json)
+  // Rota para ler as URLs em cache (resultados e falhas recentes); restrita à administração
+  // Exemplo de uso: GET /get-urls?admin_key=<chave>
+  app.get('/get-urls', AdminAuthMiddleware, (req, res) => {
+    res.json(ResultCache.snapshot());
+  });
+
+  // Rota para exibir o status das requisições
   app.get('/statusBypass', async (req, res) => {
     try {
       const status = await StatusService.getStatus();
@@ -373,7 +1499,7 @@ module.exports.setup = function(app) {
   // ===================== Rotas de Administração =====================
 
   // Rota para alternar o estado do bypass (ativar/desativar)
-  // Exemplo de uso: POST /admin/toggle-bypass?admin_key=admintekscripts&state=on|off
+  // Exemplo de uso: POST /admin/toggle-bypass?admin_key=<chave>&state=on|off
   app.post('/admin/toggle-bypass', AdminAuthMiddleware, (req, res) => {
     const state = req.query.state;
     if (state === 'on') {
@@ -387,58 +1513,252 @@ module.exports.setup = function(app) {
   });
 
   // Rota para obter o status atual do sistema e do bypass
-  // Exemplo de uso: GET /admin/status?admin_key=admintekscripts
+  // Exemplo de uso: GET /admin/status?admin_key=<chave>
   app.get('/admin/status', AdminAuthMiddleware, async (req, res) => {
     try {
       const status = await StatusService.getStatus();
-      res.json({ bypassEnabled, status });
+      res.json({ bypassEnabled, status, cache: ResultCache.info() });
     } catch (error) {
       res.status(500).json({ error: 'Erro ao obter o status do bypass.' });
     }
   });
 
-  // Rota para visualizar as estatísticas de desempenho das APIs
-  // Exemplo de uso: GET /admin/api-performance?admin_key=admintekscripts
-  app.get('/admin/api-performance', AdminAuthMiddleware, (req, res) => {
-    res.json(ApiPerformanceTracker.stats);
+  // Rota para limpar o cache de resultados (todo, ou só ?url=<url>)
+  // Exemplo de uso: DELETE /admin/cache?admin_key=<chave>&url=https://...
+  app.delete('/admin/cache', AdminAuthMiddleware, async (req, res) => {
+    const removed = ResultCache.clear(typeof req.query.url === 'string' ? req.query.url : null);
+    await ResultCache.flush();
+    res.json({ message: `${removed} entrada(s) removida(s) do cache.`, cache: ResultCache.info() });
   });
 
-  // ===================== Nova Rota para Adicionar API =====================
-  // Rota para adicionar uma nova API extra (apisDat.json)
-  // Exemplo de uso: POST /admin/add-api?admin_key=admintekscripts
-  // Espera um JSON no corpo da requisição com os dados da API (pelo menos { url: 'https://...', parse_json: true/false, response_key: '...' })
-  app.post('/admin/add-api', AdminAuthMiddleware, async (req, res) => {
-    const newApi = req.body;
-    if (!newApi || !newApi.url) {
-      return res.status(400).json({ error: 'Dados da API inválidos. É necessário informar pelo menos o campo "url".' });
+  // Rota para visualizar o circuit breaker e o desempenho de cada provedor
+  // (taxa de erro e latências p50/p95 na janela)
+  // Exemplo de uso: GET /admin/api-performance?admin_key=<chave>
+  app.get('/admin/api-performance', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const providers = await ProviderRegistry.list();
+      res.json({
+        windowMinutes: CONFIG.BREAKER.WINDOW / 60000,
+        breaker: {
+          failureThreshold: CONFIG.BREAKER.FAILURE_THRESHOLD,
+          errorRateThreshold: CONFIG.BREAKER.ERROR_RATE_THRESHOLD,
+          minCalls: CONFIG.BREAKER.MIN_CALLS,
+          cooldownMs: CONFIG.BREAKER.COOLDOWN,
+          maxCooldownMs: CONFIG.BREAKER.MAX_COOLDOWN
+        },
+        probe: { enabled: Boolean(HealthProber.url()), url: HealthProber.url(), configured: Boolean(CONFIG.PROBE.URL), intervalMs: CONFIG.PROBE.INTERVAL },
+        providers: providers.map(provider => ApiPerformanceTracker.report(provider))
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao obter o desempenho dos provedores: ' + error.message });
+    }
+  });
+
+  // Rota para fechar o circuit breaker de um provedor e zerar suas estatísticas
+  // Exemplo de uso: POST /admin/providers/<id>/reset-breaker?admin_key=<chave>
+  app.post('/admin/providers/:id/reset-breaker', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const provider = await ProviderRegistry.find(req.params.id);
+      if (!provider) {
+        return res.status(404).json({ error: 'Provedor não encontrado.' });
+      }
+      ApiPerformanceTracker.reset(provider.id);
+      res.json({ message: 'Circuit breaker reiniciado.', performance: ApiPerformanceTracker.report(provider) });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao reiniciar o circuit breaker: ' + error.message });
+    }
+  });
+
+  // ===================== Provedores =====================
+
+  // Rota para listar os provedores (remotos e adicionais), com estado e erros de validação
+  // Exemplo de uso: GET /admin/providers?admin_key=<chave>
+  app.get('/admin/providers', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const providers = await ProviderRegistry.list();
+      res.json({ sync: RemoteProviderList.info(), providers });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao listar os provedores: ' + error.message });
+    }
+  });
+
+  // Rota para ver quando a lista remota foi sincronizada
+  // Exemplo de uso: GET /admin/providers/sync?admin_key=<chave>
+  app.get('/admin/providers/sync', AdminAuthMiddleware, (req, res) => {
+    res.json(RemoteProviderList.info());
+  });
+
+  // Rota para atualizar a lista remota agora (?force=1 ignora o ETag e baixa a lista completa)
+  // Exemplo de uso: POST /admin/providers/refresh?admin_key=<chave>
+  app.post('/admin/providers/refresh', AdminAuthMiddleware, async (req, res) => {
+    const result = await RemoteProviderList.refresh({ force: req.query.force === '1' || req.query.force === 'true' });
+    if (result.error) {
+      return res.status(502).json({ error: result.error, sync: RemoteProviderList.info() });
+    }
+    res.json({
+      message: result.changed ? 'Lista de provedores atualizada.' : 'Lista de provedores sem alterações.',
+      sync: RemoteProviderList.info()
+    });
+  });
+
+  // Rota para adicionar um provedor
+  // Corpo: { url: 'https://.../?link={url}', parse_json: true/false, response_key: '...', name, enabled, priority,
+  //         validation: { expectedStatus, jsonPath, mustMatch, mustNotMatch, maxLength } }
+  app.post('/admin/providers', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const result = await ProviderRegistry.add(req.body || {});
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.status(result.restored ? 200 : 201).json({
+        message: result.restored ? 'Provedor restaurado.' : 'Provedor adicionado.',
+        provider: result.provider
+      });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao adicionar o provedor: ' + error.message });
+    }
+  });
+
+  // Rota para alterar um provedor
+  // Corpo: qualquer combinação de { name, url, parse_json, response_key, validation, enabled, priority }
+  app.patch('/admin/providers/:id', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const result = await ProviderRegistry.update(req.params.id, req.body || {});
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ message: 'Provedor atualizado.', provider: result.provider });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao atualizar o provedor: ' + error.message });
+    }
+  });
+
+  // Rotas para ativar e desativar um provedor
+  ['enable', 'disable'].forEach(action => {
+    app.post(`/admin/providers/:id/${action}`, AdminAuthMiddleware, async (req, res) => {
+      try {
+        const result = await ProviderRegistry.update(req.params.id, { enabled: action === 'enable' });
+        if (result.error) {
+          return res.status(result.status).json({ error: result.error });
+        }
+        res.json({ message: `Provedor ${action === 'enable' ? 'ativado' : 'desativado'}.`, provider: result.provider });
+      } catch (error) {
+        res.status(500).json({ error: 'Erro ao atualizar o provedor: ' + error.message });
+      }
+    });
+  });
+
+  // Rota para definir a prioridade de um provedor (maior é tentado primeiro)
+  // Corpo: { priority: <inteiro> }
+  app.put('/admin/providers/:id/priority', AdminAuthMiddleware, async (req, res) => {
+    const { priority } = req.body || {};
+    if (priority === undefined) {
+      return res.status(400).json({ error: 'Informe o campo "priority".' });
     }
+    try {
+      const result = await ProviderRegistry.update(req.params.id, { priority });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      res.json({ message: 'Prioridade atualizada.', provider: result.provider });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao atualizar o provedor: ' + error.message });
+    }
+  });
 
+  // Rota para testar as regras de validação de um provedor, sem afetar o circuit breaker
+  // Corpo: { url } chama o provedor com essa URL; { sample, status } usa uma
+  // resposta colada (status padrão 200). "validation" opcional testa regras
+  // novas antes de salvá-las.
+  app.post('/admin/providers/:id/test', AdminAuthMiddleware, async (req, res) => {
+    const { url, sample, status, validation } = req.body || {};
+    if ((url === undefined) === (sample === undefined)) {
+      return res.status(400).json({ error: 'Informe "url" (teste real) ou "sample" (resposta colada).' });
+    }
+    if (url !== undefined && (typeof url !== 'string' || !url.startsWith('https://'))) {
+      return res.status(400).json({ error: 'URL inválida: deve iniciar com "https://"' });
+    }
+    if (status !== undefined && (!Number.isInteger(status) || status < 100 || status > 599)) {
+      return res.status(400).json({ error: '"status" deve ser um status HTTP.' });
+    }
+    const rulesErrors = ProviderSchema.validateRules(validation);
+    if (rulesErrors.length) {
+      return res.status(400).json({ error: rulesErrors.join('; ') });
+    }
     try {
-      // Carrega APIs existentes do Git
-      const gitApis = await FileService.loadApis();
-      if (gitApis.find(api => api.url === newApi.url)) {
-        return res.json({ message: 'API já existe no sistema (Git).' });
+      const found = await ProviderRegistry.find(req.params.id);
+      if (!found) {
+        return res.status(404).json({ error: 'Provedor não encontrado.' });
+      }
+      const provider = validation === undefined ? found : { ...found, validation };
+      if (sample !== undefined) {
+        const data = typeof sample === 'string' ? sample : JSON.stringify(sample);
+        const outcome = ValidationService.evaluate(provider, { status: status || 200, data: ValidationService._parseJson(data) ?? data });
+        return res.json({ provider: provider.id, mode: 'sample', status: status || 200, ...outcome });
+      }
+      const start = performance.now();
+      try {
+        const response = await BypassService._requestProvider(url, provider, { timeout: CONFIG.SERVER.TIMEOUT });
+        res.json({
+          provider: provider.id,
+          mode: 'live',
+          status: response.status,
+          durationMs: Math.round(performance.now() - start),
+          ...response.outcome,
+          response: ValidationService._toString(response.data).slice(0, 2000)
+        });
+      } catch (error) {
+        res.json({ provider: provider.id, mode: 'live', valid: false, durationMs: Math.round(performance.now() - start), error: error.message, rules: [] });
       }
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao testar o provedor: ' + error.message });
+    }
+  });
 
-      // Verifica se já existe em apisDat.json para evitar duplicatas
-      const additionalApis = await FileService.loadAdditionalApis();
-      if (additionalApis.find(api => api.url === newApi.url)) {
-        return res.json({ message: 'API já existe no sistema (apisDat).' });
+  // Rota para remover um provedor (os remotos ficam ocultos até serem adicionados de novo)
+  app.delete('/admin/providers/:id', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const removed = await ProviderRegistry.remove(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Provedor não encontrado.' });
       }
+      res.json({ message: 'Provedor removido.', provider: removed });
+    } catch (error) {
+      res.status(500).json({ error: 'Erro ao remover o provedor: ' + error.message });
+    }
+  });
 
-      // Adiciona a nova API ao arquivo apisDat.json
-      const added = await FileService.addAdditionalApi(newApi);
-      if (!added) {
-        return res.status(500).json({ error: 'Falha ao adicionar a API.' });
+  // Rota antiga para adicionar uma API extra; equivale a POST /admin/providers
+  // Exemplo de uso: POST /admin/add-api?admin_key=<chave>
+  // Espera um JSON no corpo da requisição com os dados da API ({ url: 'https://...{url}', parse_json: true/false, response_key: '...' })
+  app.post('/admin/add-api', AdminAuthMiddleware, async (req, res) => {
+    try {
+      const result = await ProviderRegistry.add(req.body || {});
+      if (result.status === 409) {
+        return res.json({ message: result.error });
       }
-      return res.json({ message: 'API adicionada com sucesso!', api: newApi });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      return res.json({ message: 'API adicionada com sucesso!', api: result.provider });
     } catch (error) {
       return res.status(500).json({ error: 'Erro ao processar a requisição: ' + error.message });
     }
   });
 };
 
-// Limpa o arquivo urls.json a cada 10 minutos
-setInterval(() => {
-  FileService.clearSavedUrls();
-}, CONFIG.CACHE_DURATION);
+module.exports.shutdown = async function() {
+  clearInterval(cacheInterval);
+  cacheInterval = null;
+  clearInterval(healthFlushInterval);
+  healthFlushInterval = null;
+  HealthProber.stop();
+  RemoteProviderList.stop();
+  clearInterval(jobsSweepInterval);
+  jobsSweepInterval = null;
+  JobService.closeStreams();
+  await Promise.all([ApiPerformanceTracker.flush(), ResultCache.flush()]);
+};
+
+// Serviços internos expostos para os testes (test/)
+module.exports._internals = { JobService, BypassService, StatusService, ApiPerformanceTracker, HealthProber, ProviderRegistry, ProviderSchema, ValidationService, ResultCache };
@@ -1,178 +1,1958 @@
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const Diff = require('diff'); // Diff por linhas entre revisões
 const winston = require('winston'); // Logger para rastreamento de erros
+const LuaValidator = require('../lib/luaValidator');
+const ScriptFingerprint = require('../lib/scriptFingerprint');
+const { createWebhooks } = require('../lib/webhooks');
 // Logger simples com winston
 const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Número inteiro de uma variável de ambiente (>= min); o padrão só vale se a
+// variável estiver ausente ou inválida, para que 0 seja aceito
+const envInt = (name, fallback, min = 0) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= min ? Math.floor(value) : fallback;
+};
+
 // Configurações usando variáveis de ambiente
 const CONFIG = {
-  FILES: {
-    SCRIPTS: process.env.SCRIPTS_PATH || path.join(__dirname, '..', 'scripts.json')
-  },
+  COLLECTION: 'scripts',
+  TAGS_COLLECTION: 'scripts-tags',
+  QUOTAS_COLLECTION: 'scripts-quotas',
   LIMITS: {
-    SCRIPTS_PER_DAY: 30,
+    MAX_PAGE_SIZE: 100,
     MIN_NAME_LENGTH: 3,
-    MIN_SCRIPT_LENGTH: 10
+    MIN_SCRIPT_LENGTH: 10,
+    // Tamanho máximo do script em bytes (UTF-8)
+    MAX_SCRIPT_SIZE: parseInt(process.env.SCRIPT_MAX_SIZE) || 256 * 1024
+  },
+  // Transições de status permitidas na moderação (por revisão). Um script
+  // rejeitado precisa voltar para análise antes de ser aprovado.
+  STATUS_TRANSITIONS: {
+    'Em análise': ['Aprovado', 'Rejeitado'],
+    'Aprovado': ['Em análise', 'Rejeitado'],
+    'Rejeitado': ['Em análise']
+  },
+  OWNERSHIP: {
+    // Header com o token de dono devolvido no envio de scripts anônimos
+    HEADER: 'x-owner-token',
+    TOKEN_PREFIX: 'ot_'
+  },
+  ENGAGEMENT: {
+    // Dias de atividade diária guardados por script e janela do "em alta"
+    HISTORY_DAYS: 14,
+    TRENDING_DAYS: 7,
+    // Peso de cada tipo de atividade na pontuação do "em alta"
+    TRENDING_WEIGHTS: { visualizacoes: 1, copias: 3, favoritos: 5, avaliacoes: 4 },
+    // Contadores aceitos em /registrar_uso
+    USAGE_TYPES: { visualizacao: 'visualizacoes', copia: 'copias' },
+    // Uma mesma origem conta no máximo um uso de cada tipo por script nesta janela (ms)
+    USAGE_WINDOW: parseInt(process.env.SCRIPT_USAGE_WINDOW) || 30 * 60 * 1000
+  },
+  TRANSFER: {
+    FORMATS: { json: 'application/json', ndjson: 'application/x-ndjson', csv: 'text/csv' },
+    MAX_IMPORT: 5000,
+    // Limite do corpo NDJSON/CSV na importação (JSON segue o limite do servidor)
+    BODY_LIMIT: process.env.SCRIPT_IMPORT_LIMIT || '20mb',
+    CSV_COLUMNS: ['id', 'nome', 'status', 'data', 'jogoPlaceId', 'jogoNome', 'tags', 'avaliacaoMedia', 'avaliacaoTotal', 'favoritos', 'visualizacoes', 'copias', 'script'],
+    // Campos internos incluídos na exportação completa (?completo=1) e
+    // restaurados na importação
+    FULL_FIELDS: ['dono', 'origem', 'revisoes', 'historico', 'votos', 'favoritadoPor', 'uso', 'retiradoEm'],
+    // Campos que a importação no formato simples não restaura
+    NOT_RESTORED: ['avaliacao', 'favoritos', 'dono', 'revisoes']
+  },
+  // Cotas de envio (scripts novos e revisões). Os valores abaixo são o padrão;
+  // a administração pode alterá-los em PUT /admin/cotas/config.
+  QUOTAS: {
+    // "calendario": dia civil no fuso configurado; "janela": últimas janelaHoras
+    MODE: process.env.SCRIPT_QUOTA_MODE || 'calendario',
+    TIMEZONE: process.env.SCRIPT_QUOTA_TIMEZONE || 'America/Sao_Paulo',
+    WINDOW_HOURS: envInt('SCRIPT_QUOTA_WINDOW_HOURS', 24, 1),
+    // Scripts aprovados para o usuário deixar de ser "novo"
+    TRUSTED_MIN_APPROVED: envInt('SCRIPT_QUOTA_TRUSTED_AFTER', 3, 1),
+    // Envios por período de cada papel; null = sem limite, 0 = envios bloqueados
+    LIMITS: {
+      novo: envInt('SCRIPT_QUOTA_NEW', 30),
+      confiavel: envInt('SCRIPT_QUOTA_TRUSTED', 30),
+      moderador: null
+    }
+  },
+  DUPLICATES: {
+    // Similaridade (0 a 1) a partir da qual o envio é sinalizado à moderação
+    SIMILARITY_THRESHOLD: parseFloat(process.env.SCRIPT_SIMILARITY_THRESHOLD) || 0.8,
+    // Quantidade máxima de scripts semelhantes citados nos avisos
+    MAX_MATCHES: 3
+  },
+  CATALOG: {
+    MAX_TAGS: 5,
+    MAX_GAME_NAME_LENGTH: 80,
+    TAG_SLUG: /^[a-z0-9][a-z0-9-]{1,31}$/
   }
 };
 
-// Serviço para manipulação de arquivos com tratamento de JSON
+// Coleções dos scripts, das tags e das cotas no armazenamento compartilhado (definidas no setup)
+let scriptsStore = null;
+let tagsStore = null;
+let quotasStore = null;
+// Webhooks de saída dos eventos de scripts (criados no setup)
+let webhooks = null;
+
+// Serviço de acesso aos scripts armazenados
 const FileService = {
   async loadScripts() {
     try {
-      const data = await fs.readFile(CONFIG.FILES.SCRIPTS, 'utf8');
-      let scripts = [];
-      try {
-        scripts = JSON.parse(data);
-        // Garante que cada script tenha os campos esperados
-        scripts = scripts.filter(s => s.id && s.nome && s.script && s.status && s.data);
-      } catch (error) {
-        logger.error('Erro ao parsear JSON:', error); // Log de erro no JSON
-      }
-      return scripts;
+      const scripts = await scriptsStore.read();
+      // Garante que cada script tenha os campos esperados
+      return scripts.filter(s => s.id && s.nome && s.script && s.status && s.data);
     } catch (error) {
-      logger.error('Erro ao ler arquivo:', error);
+      logger.error('Erro ao ler scripts:', error);
       return [];
     }
   },
-  async saveScripts(scripts) {
-    try {
-      await fs.writeFile(CONFIG.FILES.SCRIPTS, JSON.stringify(scripts, null, 2));
-    } catch (error) {
-      logger.error('Erro ao salvar arquivo:', error);
-      throw error;
+  // Leitura-modificação-escrita exclusiva da lista de scripts; fn altera a
+  // lista no lugar e seu retorno é repassado ao chamador
+  updateScripts(fn) {
+    return scriptsStore.update(fn);
+  }
+};
+
+// Revisões de um script. Cada registro guarda todas as versões enviadas em
+// "revisoes"; os campos script/status do registro são derivados delas: o
+// conteúdo servido é o da última revisão aprovada e uma revisão nova fica
+// "Em análise" sem tirar a aprovada do ar.
+const RevisionService = {
+  // Registros anteriores às revisões: a versão existente vira a revisão 1
+  ensure(record) {
+    if (!Array.isArray(record.revisoes) || !record.revisoes.length) {
+      record.revisoes = [{ numero: 1, script: record.script, status: record.status, data: record.data }];
+      this.sync(record);
+    }
+    return record;
+  },
+  latest(record) {
+    return record.revisoes[record.revisoes.length - 1];
+  },
+  find(record, numero) {
+    return record.revisoes.find(r => r.numero === numero) || null;
+  },
+  // Revisões visíveis: o público só vê as aprovadas; o dono e a moderação
+  // (full) veem também as pendentes e rejeitadas
+  visible(record, full) {
+    return full ? record.revisoes : record.revisoes.filter(r => r.status === 'Aprovado');
+  },
+  add(record, script, avisos, impressao) {
+    const revision = {
+      numero: this.latest(record).numero + 1,
+      script,
+      status: 'Em análise',
+      data: new Date().toISOString(),
+      avisos,
+      impressao
+    };
+    record.revisoes.push(revision);
+    this.sync(record);
+    return revision;
+  },
+  setStatus(record, revision, status, motivo) {
+    revision.status = status;
+    if (status === 'Rejeitado') {
+      revision.motivoRejeicao = motivo;
+    } else {
+      delete revision.motivoRejeicao;
     }
+    this.sync(record);
+  },
+  // Recalcula os campos servidos a partir do histórico de revisões
+  sync(record) {
+    const latest = this.latest(record);
+    const approved = [...record.revisoes].reverse().find(r => r.status === 'Aprovado') || null;
+    record.script = (approved || latest).script;
+    record.status = approved ? 'Aprovado' : latest.status;
+    record.revisaoAtual = latest.numero;
+    record.revisaoAprovada = approved ? approved.numero : null;
+    record.revisaoPendente = approved && approved !== latest && latest.status === 'Em análise' ? latest.numero : null;
+    // Motivo da rejeição da revisão mais recente, exibido ao autor
+    record.motivoRejeicao = latest.status === 'Rejeitado' ? latest.motivoRejeicao || null : null;
+    // Avisos da análise estática da revisão mais recente, para a moderação
+    record.avisos = latest.avisos || [];
+    // Script retirado pelo dono sai de circulação independente das revisões
+    if (record.retiradoEm) record.status = 'Retirado';
+  },
+  // Diff por linhas entre duas revisões, em formato unificado
+  diff(record, from, to) {
+    const patch = Diff.createPatch(`script-${record.id}.lua`, from.script, to.script, `revisão ${from.numero}`, `revisão ${to.numero}`);
+    let adicionadas = 0;
+    let removidas = 0;
+    Diff.diffLines(from.script, to.script).forEach(part => {
+      if (part.added) adicionadas += part.count;
+      if (part.removed) removidas += part.count;
+    });
+    return { de: from.numero, para: to.numero, adicionadas, removidas, diff: patch };
+  }
+};
+
+// Avaliações (1 a 5, um voto por usuário), favoritos e contadores de uso. Os
+// agregados ficam no próprio registro do script; os votos e favoritos de cada
+// usuário ficam em "votos"/"favoritadoPor" e a atividade diária em "uso",
+// usada no "em alta da semana".
+const EngagementService = {
+  // Registros anteriores aos contadores começam zerados
+  ensure(record) {
+    record.votos = record.votos || {};
+    record.favoritadoPor = record.favoritadoPor || [];
+    record.uso = record.uso || {};
+    record.avaliacao = record.avaliacao || { media: 0, total: 0 };
+    record.favoritos = record.favoritadoPor.length;
+    record.visualizacoes = record.visualizacoes || 0;
+    record.copias = record.copias || 0;
+    return record;
+  },
+  _day(offset = 0) {
+    return new Date(Date.now() - offset * 86400000).toISOString().slice(0, 10);
+  },
+  // Soma a atividade do dia e descarta os dias fora do histórico
+  _track(record, field) {
+    const today = this._day();
+    record.uso[today] = record.uso[today] || {};
+    record.uso[today][field] = (record.uso[today][field] || 0) + 1;
+    const cutoff = this._day(CONFIG.ENGAGEMENT.HISTORY_DAYS);
+    Object.keys(record.uso).forEach(day => {
+      if (day < cutoff) delete record.uso[day];
+    });
+  },
+  // Registra ou substitui o voto do usuário e recalcula a média
+  rate(record, dono, nota) {
+    const isNew = !Object.prototype.hasOwnProperty.call(record.votos, dono);
+    record.votos[dono] = nota;
+    this.summarize(record);
+    if (isNew) this._track(record, 'avaliacoes');
+  },
+  // Recalcula a média e o total a partir dos votos
+  summarize(record) {
+    const notas = Object.values(record.votos);
+    const media = notas.length ? notas.reduce((sum, n) => sum + n, 0) / notas.length : 0;
+    record.avaliacao = { media: Math.round(media * 100) / 100, total: notas.length };
+  },
+  // Marca ou desmarca o favorito; retorna false se nada mudou
+  favorite(record, dono, marcar) {
+    const index = record.favoritadoPor.indexOf(dono);
+    if (marcar === (index !== -1)) return false;
+    if (marcar) {
+      record.favoritadoPor.push(dono);
+      this._track(record, 'favoritos');
+    } else {
+      record.favoritadoPor.splice(index, 1);
+    }
+    record.favoritos = record.favoritadoPor.length;
+    return true;
+  },
+  count(record, field) {
+    record[field] = (record[field] || 0) + 1;
+    this._track(record, field);
+  },
+  // Últimos usos registrados por script, tipo e origem (em memória)
+  _recentUsage: new Map(),
+  // Função para saber se a origem já registrou este uso dentro da janela;
+  // caso contrário, reserva a janela para ela
+  usedRecently(scriptId, field, origem) {
+    const now = Date.now();
+    if (this._recentUsage.size >= 10000) {
+      this._recentUsage.forEach((at, key) => {
+        if (now - at >= CONFIG.ENGAGEMENT.USAGE_WINDOW) this._recentUsage.delete(key);
+      });
+    }
+    const key = `${scriptId}:${field}:${origem}`;
+    const last = this._recentUsage.get(key);
+    if (last !== undefined && now - last < CONFIG.ENGAGEMENT.USAGE_WINDOW) return true;
+    this._recentUsage.set(key, now);
+    return false;
+  },
+  // Pontuação do "em alta": atividade ponderada dos últimos dias
+  trendingScore(record) {
+    if (!record.uso) return 0;
+    const since = this._day(CONFIG.ENGAGEMENT.TRENDING_DAYS - 1);
+    return Object.keys(record.uso)
+      .filter(day => day >= since)
+      .reduce((score, day) => score + Object.entries(record.uso[day])
+        .reduce((sum, [field, value]) => sum + (CONFIG.ENGAGEMENT.TRENDING_WEIGHTS[field] || 0) * value, 0), 0);
+  }
+};
+
+// Dados de um script expostos na listagem (sem o conteúdo das revisões, o
+// histórico, os avisos de moderação, a identidade do dono nem os votos e
+// favoritos individuais)
+function toPublic(record) {
+  const { revisoes, historico, avisos, dono, origem, votos, favoritadoPor, uso, ...info } = record;
+  return {
+    ...info,
+    avaliacao: info.avaliacao || { media: 0, total: 0 },
+    favoritos: info.favoritos || 0,
+    visualizacoes: info.visualizacoes || 0,
+    copias: info.copias || 0,
+    tendencia: EngagementService.trendingScore(record),
+    totalRevisoes: Array.isArray(revisoes) ? revisoes.length : 1
+  };
+}
+
+// Conteúdos já enviados de um registro (todas as revisões)
+function revisionContents(record) {
+  return Array.isArray(record.revisoes) ? record.revisoes.map(r => r.script) : [record.script];
+}
+
+function hashSecret(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+// Dono de cada script. Quem envia com uma chave de API fica ligado a ela
+// ("chave:<id>"); envios anônimos recebem um token de dono, guardado só como
+// hash ("token:<hash>") e reapresentado no header X-Owner-Token. Registros
+// anteriores a este controle não têm dono e só a moderação pode alterá-los.
+const OwnershipService = {
+  // Identidade da requisição, ou null quando anônima e sem token
+  identify(req, moderador) {
+    if (req.auth) return { dono: `chave:${req.auth.id}`, id: req.auth.id, nome: req.auth.name, moderador };
+    const token = req.get(CONFIG.OWNERSHIP.HEADER);
+    if (typeof token === 'string' && token.startsWith(CONFIG.OWNERSHIP.TOKEN_PREFIX)) {
+      return { dono: `token:${hashSecret(token)}`, id: null, nome: null, moderador: false, origem: this.origin(req) };
+    }
+    return null;
+  },
+  // Identidade de quem avalia ou favorita sem chave nem token: a origem (hash
+  // do IP), para que requisições repetidas não contem como usuários novos
+  anonymous(req) {
+    const origem = this.origin(req);
+    return { dono: `origem:${origem}`, id: null, nome: null, moderador: false, origem };
+  },
+  // Identidade nova para um envio anônimo; o token só é devolvido nesta resposta
+  issue(req) {
+    const token = CONFIG.OWNERSHIP.TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return { token, dono: `token:${hashSecret(token)}`, id: null, nome: null, moderador: false, origem: this.origin(req) };
+  },
+  // Origem (hash do IP) dos envios anônimos, para que descartar o token não
+  // renove a cota diária
+  origin(req) {
+    return hashSecret(`ip:${req.ip}`);
+  },
+  isOwner(record, identity) {
+    return Boolean(identity && record.dono && record.dono === identity.dono);
+  },
+  canManage(record, identity) {
+    return Boolean(identity && (identity.moderador || this.isOwner(record, identity)));
+  }
+};
+
+// Catálogo: jogo de cada script ({ placeId, nome }) e tags de uma lista
+// curada mantida pelos administradores na coleção scripts-tags
+const CatalogService = {
+  loadTags() {
+    return tagsStore.read();
+  },
+  updateTags(fn) {
+    return tagsStore.update(fn);
+  },
+  // Valida jogo e tags enviados com o script; retorna { error } ou { jogo, tags }
+  validate({ jogo, tags }, catalog) {
+    let game = null;
+    if (jogo !== undefined && jogo !== null) {
+      const placeId = typeof jogo === 'object' ? Number(jogo.placeId) : NaN;
+      if (!Number.isSafeInteger(placeId) || placeId <= 0) {
+        return { error: 'Jogo inválido: informe { placeId, nome } com o place id numérico' };
+      }
+      const nome = typeof jogo.nome === 'string' ? jogo.nome.trim() : '';
+      if (!nome || nome.length > CONFIG.CATALOG.MAX_GAME_NAME_LENGTH) {
+        return { error: `Nome do jogo inválido (1 a ${CONFIG.CATALOG.MAX_GAME_NAME_LENGTH} caracteres)` };
+      }
+      game = { placeId, nome };
+    }
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return { error: 'O campo "tags" deve ser uma lista' };
+    }
+    const slugs = [...new Set((tags || []).map(tag => String(tag).trim().toLowerCase()))];
+    if (slugs.length > CONFIG.CATALOG.MAX_TAGS) {
+      return { error: `Máximo de ${CONFIG.CATALOG.MAX_TAGS} tags por script` };
+    }
+    const unknown = slugs.filter(slug => !catalog.some(tag => tag.slug === slug));
+    if (unknown.length) {
+      return { error: `Tags não cadastradas: ${unknown.join(', ')}` };
+    }
+    return { jogo: game, tags: slugs };
+  },
+  // Valida os dados de uma tag do catálogo; retorna a mensagem de erro ou null
+  validateTag({ nome, descricao }) {
+    if (typeof nome !== 'string' || !nome.trim()) return 'Informe o nome da tag';
+    if (descricao !== undefined && descricao !== null && typeof descricao !== 'string') return 'Descrição inválida';
+    return null;
+  },
+  // Jogos com a quantidade de scripts aprovados; o nome exibido é o do envio
+  // aprovado mais recente do jogo
+  games(scripts) {
+    const games = new Map();
+    scripts
+      .filter(s => s.jogo && s.status === 'Aprovado')
+      .sort((a, b) => a.data.localeCompare(b.data))
+      .forEach(s => {
+        const game = games.get(s.jogo.placeId) || { placeId: s.jogo.placeId, nome: s.jogo.nome, totalAprovados: 0 };
+        game.nome = s.jogo.nome;
+        game.totalAprovados++;
+        games.set(s.jogo.placeId, game);
+      });
+    return [...games.values()].sort((a, b) => b.totalAprovados - a.totalAprovados || a.nome.localeCompare(b.nome, 'pt-BR'));
+  }
+};
+
+// Envios quase duplicados. Cada revisão guarda a impressão digital do código
+// normalizado (lib/scriptFingerprint): o mesmo hash é duplicata exata; uma
+// similaridade alta vira aviso para a moderação com o id do script original.
+const DuplicateService = {
+  // Revisões anteriores às impressões recebem a sua na primeira comparação
+  ensure(record) {
+    RevisionService.ensure(record).revisoes.forEach(revision => {
+      if (!revision.impressao) revision.impressao = ScriptFingerprint.compute(revision.script);
+    });
+    return record;
+  },
+
+  // Compara com as revisões dos demais scripts. Retorna { exato: { id, revisao } }
+  // ou { similares: [{ id, revisao, similaridade }] } em ordem decrescente
+  check(impressao, scripts, ignore = null) {
+    const similares = [];
+    for (const record of scripts) {
+      if (record === ignore) continue;
+      let best = null;
+      for (const revision of this.ensure(record).revisoes) {
+        if (revision.impressao.hash === impressao.hash) {
+          return { exato: { id: record.id, revisao: revision.numero } };
+        }
+        const similaridade = ScriptFingerprint.similarity(impressao, revision.impressao);
+        if (!best || similaridade > best.similaridade) best = { id: record.id, revisao: revision.numero, similaridade };
+      }
+      if (best && best.similaridade >= CONFIG.DUPLICATES.SIMILARITY_THRESHOLD) similares.push(best);
+    }
+    similares.sort((a, b) => b.similaridade - a.similaridade);
+    return { similares: similares.slice(0, CONFIG.DUPLICATES.MAX_MATCHES) };
+  },
+
+  // Avisos de moderação para os scripts semelhantes encontrados
+  warnings(similares) {
+    return similares.map(match => ({
+      tipo: 'quase-duplicado',
+      mensagem: `Semelhante ao script #${match.id} (revisão ${match.revisao}): ${Math.round(match.similaridade * 100)}% de similaridade`,
+      linha: null,
+      scriptOriginal: match.id,
+      similaridade: match.similaridade
+    }));
+  },
+
+  exactMessage(exato) {
+    return `Script duplicado! Mesmo código do script #${exato.id} após normalização`;
+  }
+};
+
+// Deslocamento (ms) do fuso em relação ao UTC no instante informado
+function zoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Meia-noite local (no fuso) do dia que contém o instante, deslocada em "days" dias
+function startOfLocalDay(timestamp, timeZone, days = 0) {
+  const local = new Date(timestamp + zoneOffset(timestamp, timeZone));
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + days);
+  // Segunda passada corrige dias com mudança de horário de verão
+  const guess = midnight - zoneOffset(midnight, timeZone);
+  return midnight - zoneOffset(guess, timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Cotas de envio por papel. O papel vem da identidade: chaves com
+// scripts:moderate são "moderador", donos com scripts aprovados suficientes
+// são "confiavel" e os demais "novo". A coleção scripts-quotas guarda a
+// configuração alterada pela administração e os resets de cada dono ou origem
+// ({ config, resets: { [dono | "origem:<hash>"]: data } }); envios anteriores
+// ao reset não contam.
+const QuotaService = {
+  ROLES: ['novo', 'confiavel', 'moderador'],
+  MODES: ['calendario', 'janela'],
+
+  async load() {
+    const data = await quotasStore.read();
+    const saved = data.config || {};
+    return {
+      config: {
+        modo: saved.modo || CONFIG.QUOTAS.MODE,
+        fusoHorario: saved.fusoHorario || CONFIG.QUOTAS.TIMEZONE,
+        janelaHoras: saved.janelaHoras || CONFIG.QUOTAS.WINDOW_HOURS,
+        aprovadosParaConfiavel: saved.aprovadosParaConfiavel || CONFIG.QUOTAS.TRUSTED_MIN_APPROVED,
+        limites: { ...CONFIG.QUOTAS.LIMITS, ...(saved.limites || {}) }
+      },
+      resets: data.resets || {}
+    };
+  },
+  update(fn) {
+    return quotasStore.update(fn);
+  },
+
+  // Valida uma alteração parcial da configuração; retorna a mensagem de erro ou null
+  validateConfig({ modo, fusoHorario, janelaHoras, aprovadosParaConfiavel, limites }) {
+    if (modo !== undefined && !this.MODES.includes(modo)) return `Modo inválido. Utilize: ${this.MODES.join(', ')}`;
+    if (fusoHorario !== undefined && (typeof fusoHorario !== 'string' || !isValidTimeZone(fusoHorario))) {
+      return 'Fuso horário inválido (use um nome IANA, ex.: America/Sao_Paulo)';
+    }
+    if (janelaHoras !== undefined && (!Number.isInteger(janelaHoras) || janelaHoras < 1)) return 'janelaHoras deve ser um inteiro positivo';
+    if (aprovadosParaConfiavel !== undefined && (!Number.isInteger(aprovadosParaConfiavel) || aprovadosParaConfiavel < 1)) {
+      return 'aprovadosParaConfiavel deve ser um inteiro positivo';
+    }
+    if (limites !== undefined) {
+      if (!limites || typeof limites !== 'object') return 'O campo "limites" deve ser um objeto';
+      for (const [papel, limite] of Object.entries(limites)) {
+        if (!this.ROLES.includes(papel)) return `Papel inválido: ${papel}. Utilize: ${this.ROLES.join(', ')}`;
+        if (limite !== null && (!Number.isInteger(limite) || limite < 0)) return `Limite inválido para ${papel} (inteiro ou null)`;
+      }
+    }
+    return null;
+  },
+
+  role(identity, scripts, config) {
+    if (identity.moderador) return 'moderador';
+    const aprovados = scripts.filter(s => s.dono && s.dono === identity.dono && s.status === 'Aprovado').length;
+    return aprovados >= config.aprovadosParaConfiavel ? 'confiavel' : 'novo';
+  },
+
+  // Uso da cota no período atual. Envios anônimos também contam pela origem,
+  // para que um token novo não zere a cota.
+  usage(identity, scripts, { config, resets }, now = Date.now()) {
+    const papel = this.role(identity, scripts, config);
+    const limite = config.limites[papel] === undefined ? null : config.limites[papel];
+    const windowMs = config.janelaHoras * 3600000;
+    const since = config.modo === 'janela' ? now - windowMs : startOfLocalDay(now, config.fusoHorario);
+
+    const envios = [];
+    scripts
+      .filter(s => (s.dono && s.dono === identity.dono) || (identity.origem && s.origem === identity.origem))
+      .forEach(s => {
+        const reset = this.resetTime(s, resets);
+        (s.revisoes || [s]).forEach(r => {
+          const time = Date.parse(r.data);
+          if (time >= since && time > reset) envios.push(time);
+        });
+      });
+    envios.sort((a, b) => a - b);
+
+    const usados = envios.length;
+    const esgotada = limite !== null && usados >= limite;
+    // Com limite 0 a cota nunca libera e fica sem reiniciaEm
+    let reiniciaEm = null;
+    if (limite !== 0 && config.modo === 'calendario') {
+      reiniciaEm = startOfLocalDay(now, config.fusoHorario, 1);
+    } else if (limite !== 0 && usados) {
+      // Na janela, a cota libera quando o envio mais antigo que a estoura expira
+      reiniciaEm = envios[esgotada ? usados - limite : 0] + windowMs;
+    }
+    return {
+      papel,
+      modo: config.modo,
+      fusoHorario: config.fusoHorario,
+      limite,
+      usados,
+      restantes: limite === null ? null : Math.max(limite - usados, 0),
+      esgotada,
+      reiniciaEm: reiniciaEm && new Date(reiniciaEm).toISOString()
+    };
+  },
+
+  // Chave do reset de uma origem: envios anônimos contam pela origem, então
+  // o reset também precisa valer por ela
+  originKey(origem) {
+    return `origem:${origem}`;
+  },
+  // Último reset que alcança o envio: o do dono ou o da origem dele
+  resetTime(record, resets) {
+    const keys = [record.dono, record.origem && this.originKey(record.origem)].filter(Boolean);
+    return Math.max(0, ...keys.filter(key => resets[key]).map(key => Date.parse(resets[key])));
+  },
+
+  // Resposta 429 com o tempo até o próximo envio permitido; com limite 0 os
+  // envios do papel estão bloqueados (403, sem Retry-After)
+  exceeded(cota) {
+    if (cota.limite === 0) {
+      return { status: 403, mensagem: `Envios de scripts desativados para o papel "${cota.papel}".`, cota };
+    }
+    const retryAfter = Math.max(Math.ceil((Date.parse(cota.reiniciaEm) - Date.now()) / 1000), 1);
+    return {
+      status: 429,
+      mensagem: `Limite de envios excedido! Tente novamente após ${cota.reiniciaEm}.`,
+      cota,
+      retryAfter
+    };
+  },
+
+  // Donos com envios no período atual, para a administração
+  owners(scripts, quota) {
+    const donos = [...new Set(scripts.map(s => s.dono).filter(Boolean))];
+    return donos
+      .map(dono => ({ dono, ...this.usage({ dono }, scripts, quota), resetEm: quota.resets[dono] || null }))
+      .filter(entry => entry.usados > 0)
+      .sort((a, b) => b.usados - a.usados);
   }
 };
 
 // Validações de scripts e segurança simples
 const ValidationService = {
-  // Verifica duplicidade exata do script
+  // Verifica duplicidade exata do script em qualquer revisão existente
   isDuplicate(script, scripts) {
-    return scripts.some(s => s.script === script);
+    return scripts.some(s => revisionContents(s).includes(script));
   },
-  // Conta scripts do dia para o usuário usando ISO date; cuidado com fusos horários
-  countDailyScripts(user, scripts) {
-    const today = new Date().toISOString().slice(0, 10);
-    return scripts.filter(s => s.nome === user && s.data.startsWith(today)).length;
-  },
-  // Valida nome e script; evita caracteres potencialmente maliciosos
+  // Valida nome e script. O script precisa ser Lua válido: erros de sintaxe
+  // voltam com linha e coluna (sintaxe do Luau passa com aviso). Retorna { error } ou { avisos, impressao }: os
+  // avisos da análise estática e a impressão digital usada contra duplicatas.
   validateScript(nome, script) {
-    if (!nome || nome.length < CONFIG.LIMITS.MIN_NAME_LENGTH) {
-      return 'Nome inválido (mínimo 3 caracteres).';
+    if (typeof nome !== 'string' || nome.length < CONFIG.LIMITS.MIN_NAME_LENGTH) {
+      return { error: { mensagem: 'Nome inválido (mínimo 3 caracteres).' } };
+    }
+    // O nome continua restrito a letras, números, espaços e pontuação básica
+    const validNamePattern = /^[\w\s.,;:!?()'"-]+$/;
+    if (!validNamePattern.test(nome)) {
+      return { error: { mensagem: 'Nome contém caracteres inválidos.' } };
+    }
+    return this.validateSource(script);
+  },
+  // Valida apenas o conteúdo (revisões mantêm o nome do script)
+  validateSource(script) {
+    if (typeof script !== 'string' || script.trim().length < CONFIG.LIMITS.MIN_SCRIPT_LENGTH) {
+      return { error: { mensagem: 'Script inválido (mínimo 10 caracteres).' } };
+    }
+    if (Buffer.byteLength(script, 'utf8') > CONFIG.LIMITS.MAX_SCRIPT_SIZE) {
+      return { error: { mensagem: `Script excede o tamanho máximo de ${CONFIG.LIMITS.MAX_SCRIPT_SIZE} bytes.` } };
+    }
+    const parsed = LuaValidator.parse(script);
+    if (parsed.error) {
+      const { mensagem, linha, coluna } = parsed.error;
+      return { error: { mensagem: `Erro de sintaxe Lua na linha ${linha}, coluna ${coluna}: ${mensagem}`, linha, coluna } };
+    }
+    const avisos = parsed.ast ? LuaValidator.analyze(parsed.ast) : [];
+    if (parsed.luau) avisos.unshift(parsed.luau);
+    return { avisos, impressao: ScriptFingerprint.compute(script) };
+  }
+};
+
+// Fluxo de moderação: valida a transição pela máquina de estados, aplica o
+// status à revisão mais recente e registra a mudança no histórico do script
+const ModerationService = {
+  // Retorna a mensagem de erro ou null
+  validate(record, { status, motivo }) {
+    if (record.retiradoEm) {
+      return 'Script retirado pelo dono';
     }
-    if (!script || script.length < CONFIG.LIMITS.MIN_SCRIPT_LENGTH) {
-      return 'Script inválido (mínimo 10 caracteres).';
+    if (!status || !CONFIG.STATUS_TRANSITIONS[status]) {
+      return 'Status inválido ou não fornecido';
     }
-    // Validação simples para evitar injeção de código (permite letras, números, espaços e pontuação básica)
-    const validPattern = /^[\w\s.,;:!?()'"-]+$/;
-    if (!validPattern.test(nome)) {
-      return 'Nome contém caracteres inválidos.';
+    const current = RevisionService.latest(record).status;
+    const allowed = CONFIG.STATUS_TRANSITIONS[current] || [];
+    if (!allowed.includes(status)) {
+      return `Transição inválida: "${current}" só pode ir para ${allowed.map(s => `"${s}"`).join(' ou ') || 'nenhum status'}`;
     }
-    if (!validPattern.test(script)) {
-      return 'Script contém caracteres inválidos.';
+    if (status === 'Rejeitado' && (!motivo || !String(motivo).trim())) {
+      return 'Informe o motivo da rejeição';
     }
     return null;
+  },
+
+  transition(record, { status, motivo, comentario }, revisor) {
+    const revision = RevisionService.latest(record);
+    const entry = {
+      revisao: revision.numero,
+      de: revision.status,
+      para: status,
+      revisor: { id: revisor.id, nome: revisor.name },
+      comentario: comentario ? String(comentario).trim() : null,
+      motivo: status === 'Rejeitado' ? String(motivo).trim() : null,
+      data: new Date().toISOString()
+    };
+    RevisionService.setStatus(record, revision, status, entry.motivo);
+    record.historico = [...(record.historico || []), entry];
+    return entry;
+  },
+
+  // Retirada pelo dono (ou pela moderação): o script sai da listagem e da fila
+  withdraw(record, identity, comentario) {
+    const entry = {
+      revisao: RevisionService.latest(record).numero,
+      de: record.status,
+      para: 'Retirado',
+      revisor: { id: identity.id, nome: identity.nome || 'dono' },
+      comentario: comentario ? String(comentario).trim() : null,
+      motivo: null,
+      data: new Date().toISOString()
+    };
+    record.retiradoEm = entry.data;
+    RevisionService.sync(record);
+    record.historico = [...(record.historico || []), entry];
+    return entry;
+  },
+
+  // Revisões aguardando análise, da mais antiga para a mais recente
+  queue(scripts) {
+    const now = Date.now();
+    return scripts
+      .map(record => RevisionService.ensure(record))
+      .filter(record => !record.retiradoEm && RevisionService.latest(record).status === 'Em análise')
+      .map(record => {
+        const revision = RevisionService.latest(record);
+        return {
+          id: record.id,
+          nome: record.nome,
+          revisao: revision.numero,
+          script: revision.script,
+          revisaoAprovada: record.revisaoAprovada,
+          avisos: revision.avisos || [],
+          aguardandoDesde: revision.data,
+          idadeHoras: Math.floor((now - new Date(revision.data).getTime()) / 3600000)
+        };
+      })
+      .sort((a, b) => a.aguardandoDesde.localeCompare(b.aguardandoDesde));
   }
 };
 
-module.exports.setup = function(app) {
-  // Rota para enviar script
-  app.post('/enviar_script', async (req, res) => {
+// Normaliza texto para busca: minúsculas e sem acentos
+function normalizeText(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Filtros, ordenação, busca e paginação da listagem de scripts
+const ListingService = {
+  SORTS: {
+    newest: (a, b) => b.data.localeCompare(a.data),
+    oldest: (a, b) => a.data.localeCompare(b.data),
+    name: (a, b) => a.nome.localeCompare(b.nome, 'pt-BR', { sensitivity: 'base' }) || a.id - b.id,
+    // Mais bem avaliados: média, depois quantidade de votos
+    rating: (a, b) => {
+      const ra = a.avaliacao || { media: 0, total: 0 };
+      const rb = b.avaliacao || { media: 0, total: 0 };
+      return rb.media - ra.media || rb.total - ra.total || a.id - b.id;
+    },
+    // Em alta na semana
+    trending: (a, b) => EngagementService.trendingScore(b) - EngagementService.trendingScore(a) || a.id - b.id
+  },
+
+  // Data do filtro; datas sem horário valem o dia inteiro (início em "from", fim em "to")
+  _parseDate(value, endOfDay) {
+    if (!value) return null;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly ? `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+    return isNaN(date.getTime()) ? undefined : date.toISOString();
+  },
+
+  // Interpreta a query string; retorna { error } ou os parâmetros normalizados
+  parse(query) {
+    const params = {
+      page: Math.max(parseInt(query.page) || 1, 1),
+      limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), CONFIG.LIMITS.MAX_PAGE_SIZE),
+      status: query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : null,
+      nome: query.nome ? normalizeText(query.nome) : null,
+      from: this._parseDate(query.from, false),
+      to: this._parseDate(query.to, true),
+      // Sem "sort", mantém a ordem de envio que a listagem sempre teve
+      sort: query.sort || 'oldest',
+      terms: query.q ? normalizeText(query.q).split(/\s+/).filter(Boolean) : [],
+      placeId: query.placeId ? Number(query.placeId) : null,
+      tag: query.tag ? String(query.tag).trim().toLowerCase() : null
+    };
+    if (params.placeId !== null && !Number.isSafeInteger(params.placeId)) {
+      return { error: 'placeId inválido' };
+    }
+    if (params.from === undefined || params.to === undefined) {
+      return { error: 'Data inválida em "from" ou "to" (use AAAA-MM-DD ou ISO 8601)' };
+    }
+    if (!this.SORTS[params.sort]) {
+      return { error: `Ordenação inválida. Utilize: ${Object.keys(this.SORTS).join(', ')}` };
+    }
+    return params;
+  },
+
+  apply(scripts, params) {
+    const filtered = scripts.filter(s => {
+      if (s.retiradoEm) return false;
+      if (params.favoritoDe && !(s.favoritadoPor || []).includes(params.favoritoDe)) return false;
+      if (params.status && !params.status.includes(s.status)) return false;
+      if (params.placeId && (!s.jogo || s.jogo.placeId !== params.placeId)) return false;
+      if (params.tag && !(s.tags || []).includes(params.tag)) return false;
+      if (params.nome && normalizeText(s.nome) !== params.nome) return false;
+      if (params.from && s.data < params.from) return false;
+      if (params.to && s.data > params.to) return false;
+      if (params.terms.length) {
+        const haystack = normalizeText(`${s.nome}\n${s.script}`);
+        if (!params.terms.every(term => haystack.includes(term))) return false;
+      }
+      return true;
+    }).sort(this.SORTS[params.sort]);
+
+    const totalPages = Math.max(Math.ceil(filtered.length / params.limit), 1);
+    const startIndex = (params.page - 1) * params.limit;
+    return {
+      total: filtered.length,
+      page: params.page,
+      limit: params.limit,
+      totalPages,
+      next: params.page < totalPages ? params.page + 1 : null,
+      prev: params.page > 1 ? Math.min(params.page - 1, totalPages) : null,
+      scripts: filtered.slice(startIndex, startIndex + params.limit)
+    };
+  }
+};
+
+// Exportação e importação em lote do catálogo (JSON, NDJSON ou CSV)
+const TransferService = {
+  // Campos portáveis de um script; votos, favoritos individuais e revisões
+  // antigas ficam fora da exportação, exceto na completa (backup), que leva
+  // também os campos de CONFIG.TRANSFER.FULL_FIELDS
+  toExport(record, completo = false) {
+    const exported = {
+      id: record.id,
+      nome: record.nome,
+      status: record.status,
+      data: record.data,
+      jogo: record.jogo || null,
+      tags: record.tags || [],
+      avaliacao: record.avaliacao || { media: 0, total: 0 },
+      favoritos: record.favoritos || 0,
+      visualizacoes: record.visualizacoes || 0,
+      copias: record.copias || 0,
+      script: record.script
+    };
+    if (completo) {
+      CONFIG.TRANSFER.FULL_FIELDS.forEach(field => {
+        if (record[field] !== undefined) exported[field] = record[field];
+      });
+    }
+    return exported;
+  },
+
+  // Filtros opcionais de status (lista separada por vírgula) e data de envio
+  filter(scripts, query) {
+    const status = query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : null;
+    const from = ListingService._parseDate(query.from, false);
+    const to = ListingService._parseDate(query.to, true);
+    if (from === undefined || to === undefined) {
+      return { error: 'Data inválida em "from" ou "to" (use AAAA-MM-DD ou ISO 8601)' };
+    }
+    return {
+      scripts: scripts.filter(s => (!status || status.includes(s.status)) && (!from || s.data >= from) && (!to || s.data <= to))
+    };
+  },
+
+  _csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  serialize(records, format) {
+    if (format === 'json') return JSON.stringify(records, null, 2);
+    if (format === 'ndjson') return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+    const rows = records.map(r => [
+      r.id, r.nome, r.status, r.data,
+      r.jogo ? r.jogo.placeId : '', r.jogo ? r.jogo.nome : '',
+      r.tags.join('|'),
+      r.avaliacao.media, r.avaliacao.total, r.favoritos, r.visualizacoes, r.copias,
+      r.script
+    ].map(this._csvField).join(','));
+    return [CONFIG.TRANSFER.CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  },
+
+  // CSV com aspas duplas (RFC 4180); a primeira linha é o cabeçalho
+  _parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    const [header, ...data] = rows.filter(r => r.length > 1 || r[0] !== '');
+    if (!header) return [];
+    return data.map(values => {
+      const raw = Object.fromEntries(header.map((column, i) => [column.trim(), values[i] === undefined ? '' : values[i]]));
+      return {
+        nome: raw.nome,
+        script: raw.script,
+        status: raw.status || undefined,
+        data: raw.data || undefined,
+        jogo: raw.jogoPlaceId ? { placeId: raw.jogoPlaceId, nome: raw.jogoNome } : undefined,
+        tags: raw.tags ? raw.tags.split('|').filter(Boolean) : []
+      };
+    });
+  },
+
+  // Lê o corpo da importação conforme o Content-Type; retorna { records } ou { error }
+  parse(req) {
     try {
-      const { nome, script } = req.body;
-      const error = ValidationService.validateScript(nome, script);
-      if (error) return res.status(400).json({ mensagem: error });
+      if (req.is('application/json')) {
+        const body = Array.isArray(req.body) ? req.body : req.body && req.body.scripts;
+        if (!Array.isArray(body)) return { error: 'Envie uma lista de scripts (ou { scripts: [...] })' };
+        return { records: body };
+      }
+      if (typeof req.body !== 'string') {
+        return { error: `Content-Type não suportado. Utilize: ${Object.values(CONFIG.TRANSFER.FORMATS).join(', ')}` };
+      }
+      if (req.is('text/csv')) return { records: this._parseCsv(req.body) };
+      return {
+        records: req.body.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return { erroLeitura: `Linha ${i + 1}: JSON inválido` };
+          }
+        })
+      };
+    } catch (error) {
+      return { error: `Erro ao ler a importação: ${error.message}` };
+    }
+  },
 
-      const scripts = await FileService.loadScripts();
+  // Validação de cada registro, a mesma do POST /enviar_script (sem a cota
+  // diária). Retorna { error } ou os dados prontos para inserir.
+  validate(item, catalog) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: 'Registro inválido' };
+    if (item.erroLeitura) return { error: item.erroLeitura };
+    const { error, avisos, impressao } = ValidationService.validateScript(item.nome, item.script);
+    if (error) return { error: error.mensagem };
+    const status = item.status || 'Em análise';
+    const retirado = status === 'Retirado' && item.retiradoEm && item.revisoes !== undefined;
+    if (!CONFIG.STATUS_TRANSITIONS[status] && !retirado) return { error: `Status inválido: ${status}` };
+    const data = item.data ? ListingService._parseDate(item.data, false) : new Date().toISOString();
+    if (!data) return { error: 'Data inválida' };
+    const tags = CatalogService.validate({ jogo: item.jogo, tags: item.tags }, catalog);
+    if (tags.error) return { error: tags.error };
+    const completo = item.revisoes !== undefined ? this._validateFull(item) : null;
+    if (completo && completo.error) return { error: completo.error };
+    const counter = value => (Number.isSafeInteger(Number(value)) && Number(value) > 0 ? Number(value) : 0);
+    return {
+      nome: item.nome,
+      script: item.script,
+      status,
+      data,
+      avisos,
+      impressao,
+      jogo: tags.jogo,
+      tags: tags.tags,
+      id: Number.isSafeInteger(Number(item.id)) && Number(item.id) > 0 ? Number(item.id) : null,
+      visualizacoes: counter(item.visualizacoes),
+      copias: counter(item.copias),
+      completo
+    };
+  },
 
-      if (ValidationService.isDuplicate(script, scripts)) {
-        return res.status(400).json({ mensagem: 'Script duplicado!' });
+  // Campos internos de um registro da exportação completa; retorna { error }
+  // ou os campos a restaurar
+  _validateFull(item) {
+    const { revisoes, votos, favoritadoPor, uso, historico } = item;
+    const validRevision = r => r && Number.isInteger(r.numero) && typeof r.script === 'string' &&
+      CONFIG.STATUS_TRANSITIONS[r.status] && !isNaN(Date.parse(r.data));
+    if (!Array.isArray(revisoes) || !revisoes.length || !revisoes.every(validRevision)) {
+      return { error: 'Revisões inválidas na exportação completa' };
+    }
+    if (votos !== undefined && (!votos || typeof votos !== 'object' || Array.isArray(votos) ||
+      !Object.values(votos).every(nota => Number.isInteger(nota) && nota >= 1 && nota <= 5))) {
+      return { error: 'Votos inválidos na exportação completa' };
+    }
+    if (favoritadoPor !== undefined && (!Array.isArray(favoritadoPor) || !favoritadoPor.every(dono => typeof dono === 'string'))) {
+      return { error: 'Favoritos inválidos na exportação completa' };
+    }
+    if ((uso !== undefined && (!uso || typeof uso !== 'object')) || (historico !== undefined && !Array.isArray(historico))) {
+      return { error: 'Uso ou histórico inválido na exportação completa' };
+    }
+    return Object.fromEntries(CONFIG.TRANSFER.FULL_FIELDS.filter(field => item[field] !== undefined).map(field => [field, item[field]]));
+  },
+
+  // Aplica os registros validados à lista de scripts. Duplicados são
+  // verificados contra o catálogo e contra os aceitos do mesmo lote. O id
+  // exportado é mantido quando está livre; senão o relatório traz idOriginal.
+  apply(scripts, validated, dono) {
+    const usedIds = new Set(scripts.map(s => s.id));
+    let nextId = scripts.length ? Math.max(...usedIds) + 1 : 1;
+    const reserveId = (wanted) => {
+      const id = wanted && !usedIds.has(wanted) ? wanted : nextId;
+      usedIds.add(id);
+      nextId = Math.max(nextId, id + 1);
+      return id;
+    };
+    return validated.map((entry, indice) => {
+      const nome = entry.item && typeof entry.item === 'object' ? entry.item.nome : undefined;
+      if (entry.error) return { indice, nome, resultado: 'invalido', motivo: entry.error };
+      if (ValidationService.isDuplicate(entry.script, scripts)) {
+        return { indice, nome, resultado: 'duplicado', motivo: 'Script duplicado!' };
+      }
+      const duplicate = DuplicateService.check(entry.impressao, scripts);
+      if (duplicate.exato) {
+        return { indice, nome, resultado: 'duplicado', motivo: DuplicateService.exactMessage(duplicate.exato), original: duplicate.exato.id };
       }
-      if (ValidationService.countDailyScripts(nome, scripts) >= CONFIG.LIMITS.SCRIPTS_PER_DAY) {
-        return res.status(400).json({ mensagem: 'Limite diário excedido!' });
+      const avisos = [...entry.avisos, ...DuplicateService.warnings(duplicate.similares)];
+      const record = {
+        id: reserveId(entry.id),
+        nome: entry.nome,
+        script: entry.script,
+        status: entry.status,
+        data: entry.data,
+        jogo: entry.jogo,
+        tags: entry.tags,
+        dono,
+        origem: null,
+        revisoes: [{ numero: 1, script: entry.script, status: entry.status, data: entry.data, avisos, impressao: entry.impressao }],
+        visualizacoes: entry.visualizacoes,
+        copias: entry.copias
+      };
+      if (entry.status === 'Rejeitado') record.revisoes[0].motivoRejeicao = 'Importado como rejeitado';
+      if (entry.completo) {
+        Object.assign(record, entry.completo);
+        EngagementService.ensure(record);
+        EngagementService.summarize(record);
       }
-      
-      // Cálculo de ID: operação síncrona aceitável para poucos registros.
-      const newId = scripts.length ? Math.max(...scripts.map(s => s.id)) + 1 : 1;
-      const newScript = {
-        id: newId,
+      RevisionService.sync(record);
+      scripts.push(record);
+      return {
+        indice,
         nome,
-        script,
-        status: 'Em análise',
-        data: new Date().toISOString()
+        resultado: 'aceito',
+        id: record.id,
+        idOriginal: entry.id && entry.id !== record.id ? entry.id : undefined,
+        naoRestaurados: entry.completo ? undefined : CONFIG.TRANSFER.NOT_RESTORED
       };
-      await FileService.saveScripts([...scripts, newScript]);
-      res.status(201).json({ mensagem: 'Script enviado com sucesso!' });
+    });
+  }
+};
+
+// Eventos enviados aos webhooks configurados pela administração
+const EVENTS = {
+  SUBMITTED: 'script.submitted',
+  STATUS_CHANGED: 'script.status_changed',
+  REMOVED: 'script.removed'
+};
+
+// Dados do script enviados nos eventos (sem o conteúdo)
+function eventData(record, extra = {}) {
+  return {
+    id: record.id,
+    nome: record.nome,
+    status: record.status,
+    revisao: record.revisaoAtual || 1,
+    jogo: record.jogo || null,
+    tags: record.tags || [],
+    ...extra
+  };
+}
+
+// Texto dos eventos no formato do Discord
+function describeEvent(evento, dados) {
+  const fields = [{ name: 'Script', value: `#${dados.id} ${dados.nome}` }];
+  if (dados.jogo) fields.push({ name: 'Jogo', value: `${dados.jogo.nome} (${dados.jogo.placeId})` });
+  switch (evento) {
+    case EVENTS.SUBMITTED:
+      fields.push({ name: 'Revisão', value: dados.revisao });
+      if (dados.avisos) fields.push({ name: 'Avisos', value: dados.avisos });
+      return { title: dados.revisao > 1 ? 'Nova revisão enviada' : 'Novo script enviado', fields };
+    case EVENTS.STATUS_CHANGED:
+      fields.push({ name: 'Status', value: `${dados.de} → ${dados.para}` });
+      if (dados.motivo) fields.push({ name: 'Motivo', value: dados.motivo, inline: false });
+      if (dados.revisor) fields.push({ name: 'Por', value: dados.revisor.nome || dados.revisor.id || 'dono' });
+      return { title: 'Status do script alterado', fields };
+    case EVENTS.REMOVED:
+      return { title: 'Script removido', fields };
+    default:
+      return { title: evento, fields };
+  }
+}
+
+module.exports.manifest = {
+  name: 'scripts',
+  version: '1.0.0',
+  prefix: '/',
+  dependencies: []
+};
+
+module.exports.setup = function(app, { auth, storage }) {
+  scriptsStore = storage.collection(CONFIG.COLLECTION, []);
+  tagsStore = storage.collection(CONFIG.TAGS_COLLECTION, []);
+  quotasStore = storage.collection(CONFIG.QUOTAS_COLLECTION, {});
+  webhooks = createWebhooks(storage, 'scripts', { events: Object.values(EVENTS), describe: describeEvent, logger });
+  webhooks.start();
+
+  // Rotas de moderação exigem uma chave com o escopo scripts:moderate
+  const requireModerator = auth.require('scripts:moderate');
+  // Catálogo de tags é mantido por chaves com o escopo scripts:admin
+  const requireAdmin = auth.require('scripts:admin');
+  // Rotas do dono aceitam chave de API opcional ou o token de dono
+  const identifyOwner = auth.optional();
+  const identify = req => OwnershipService.identify(req, auth.hasScope(req.auth, 'scripts:moderate'));
+  const ownerRequired = { status: 401, mensagem: 'Informe o token de dono (X-Owner-Token) ou uma chave de API' };
+  const ownerForbidden = { status: 403, mensagem: 'Apenas o dono do script ou a moderação podem alterá-lo' };
+  const revisionHidden = { status: 403, mensagem: 'Apenas o dono do script ou a moderação veem revisões não aprovadas' };
+  // Revisões pendentes ou rejeitadas exigem o dono ou a moderação
+  const hiddenRevision = (record, revisions, req) => {
+    if (revisions.every(r => r.status === 'Aprovado')) return null;
+    const identity = identify(req);
+    if (!identity) return ownerRequired;
+    return OwnershipService.canManage(record, identity) ? null : revisionHidden;
+  };
+
+  // Avaliações, favoritos e contadores só valem para scripts aprovados; fn
+  // altera o registro na mesma operação exclusiva
+  const updateApproved = (scriptId, fn) => FileService.updateScripts(scripts => {
+    const record = scripts.find(s => s.id === scriptId);
+    if (!record) return { status: 404, mensagem: 'Script não encontrado' };
+    if (record.status !== 'Aprovado') return { status: 400, mensagem: 'Script não está aprovado' };
+    return fn(EngagementService.ensure(record));
+  });
+
+  // Rota para enviar script
+  // Corpo: { nome, script, jogo: { placeId, nome } (opcional), tags: [slugs do catálogo] }
+  // Com chave de API, o script fica ligado à chave. Sem ela, é reutilizado o
+  // token de dono enviado em X-Owner-Token ou um token novo é devolvido em
+  // "tokenDono" (guarde-o: é exigido para revisar, retirar ou remover o script).
+  app.post('/enviar_script', identifyOwner, async (req, res) => {
+    try {
+      const { nome, script } = req.body;
+      const { error, avisos, impressao } = ValidationService.validateScript(nome, script);
+      if (error) return res.status(400).json(error);
+      const catalog = CatalogService.validate(req.body, await CatalogService.loadTags());
+      if (catalog.error) return res.status(400).json({ mensagem: catalog.error });
+      const identity = identify(req) || OwnershipService.issue(req);
+      const quota = await QuotaService.load();
+
+      // Validação e inserção na mesma operação exclusiva, para que envios
+      // simultâneos não se sobrescrevam nem burlem duplicidade/limite
+      let event = null;
+      const result = await FileService.updateScripts(scripts => {
+        if (ValidationService.isDuplicate(script, scripts)) {
+          return { status: 400, mensagem: 'Script duplicado!' };
+        }
+        const duplicate = DuplicateService.check(impressao, scripts);
+        if (duplicate.exato) {
+          return { status: 400, mensagem: DuplicateService.exactMessage(duplicate.exato), original: duplicate.exato.id };
+        }
+        const cota = QuotaService.usage(identity, scripts, quota);
+        if (cota.esgotada) return QuotaService.exceeded(cota);
+
+        // Cálculo de ID: operação síncrona aceitável para poucos registros.
+        const newId = scripts.length ? Math.max(...scripts.map(s => s.id)) + 1 : 1;
+        const now = new Date().toISOString();
+        const newScript = {
+          id: newId,
+          nome,
+          script,
+          status: 'Em análise',
+          data: now,
+          jogo: catalog.jogo,
+          tags: catalog.tags,
+          dono: identity.dono,
+          origem: identity.origem || null,
+          revisoes: [{
+            numero: 1,
+            script,
+            status: 'Em análise',
+            data: now,
+            avisos: [...avisos, ...DuplicateService.warnings(duplicate.similares)],
+            impressao
+          }]
+        };
+        RevisionService.sync(newScript);
+        scripts.push(newScript);
+        event = eventData(newScript, { avisos: newScript.avisos.length });
+        return {
+          status: 201,
+          mensagem: 'Script enviado com sucesso!',
+          id: newId,
+          tokenDono: identity.token,
+          cota: QuotaService.usage(identity, scripts, quota)
+        };
+      });
+      const { status, retryAfter, ...body } = result;
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      res.status(status).json(body);
+      if (event) webhooks.emit(EVENTS.SUBMITTED, event);
     } catch (error) {
       logger.error('Erro no POST /enviar_script:', error);
       res.status(500).json({ mensagem: 'Erro interno no servidor' });
     }
   });
 
-  // Rota para listar scripts
-  app.get('/listar_scripts', async (req, res) => {
+  // Rota para enviar uma nova revisão de um script existente (apenas dono ou moderação).
+  // A revisão entra "Em análise"; a última revisão aprovada continua sendo servida.
+  app.post('/enviar_revisao/:id', identifyOwner, async (req, res) => {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const identity = identify(req);
+      if (!identity) return res.status(ownerRequired.status).json({ mensagem: ownerRequired.mensagem });
+      const { script } = req.body;
+      const { error, avisos, impressao } = ValidationService.validateSource(script);
+      if (error) return res.status(400).json(error);
+      const quota = await QuotaService.load();
+
+      let event = null;
+      const result = await FileService.updateScripts(scripts => {
+        const record = scripts.find(s => s.id === scriptId);
+        if (!record) return { status: 404, mensagem: 'Script não encontrado' };
+        if (!OwnershipService.canManage(record, identity)) return ownerForbidden;
+        if (record.retiradoEm) return { status: 400, mensagem: 'Script retirado pelo dono' };
+        RevisionService.ensure(record);
+        if (RevisionService.latest(record).script === script) {
+          return { status: 400, mensagem: 'A revisão é idêntica à versão atual' };
+        }
+        if (ValidationService.isDuplicate(script, scripts.filter(s => s !== record))) {
+          return { status: 400, mensagem: 'Script duplicado!' };
+        }
+        // Revisões são comparadas só com os outros scripts
+        const duplicate = DuplicateService.check(impressao, scripts, record);
+        if (duplicate.exato) {
+          return { status: 400, mensagem: DuplicateService.exactMessage(duplicate.exato), original: duplicate.exato.id };
+        }
+        const cota = QuotaService.usage(identity, scripts, quota);
+        if (cota.esgotada) return QuotaService.exceeded(cota);
+        const revision = RevisionService.add(record, script, [...avisos, ...DuplicateService.warnings(duplicate.similares)], impressao);
+        event = eventData(record, { avisos: revision.avisos.length });
+        return {
+          status: 201,
+          mensagem: 'Revisão enviada com sucesso!',
+          revisao: revision.numero,
+          cota: QuotaService.usage(identity, scripts, quota)
+        };
+      });
+      const { status, retryAfter, ...body } = result;
+      if (retryAfter) res.set('Retry-After', String(retryAfter));
+      res.status(status).json(body);
+      if (event) webhooks.emit(EVENTS.SUBMITTED, event);
+    } catch (error) {
+      logger.error('Erro no POST /enviar_revisao:', error);
+      res.status(500).json({ mensagem: 'Erro interno no servidor' });
+    }
+  });
+
+  // Rota para listar as revisões de um script (sem o conteúdo). O público vê só
+  // as aprovadas; o dono (token ou chave) e a moderação veem todas
+  app.get('/listar_revisoes/:id', identifyOwner, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
       const scripts = await FileService.loadScripts();
-      const startIndex = (page - 1) * limit;
+      const record = scripts.find(s => s.id === scriptId);
+      if (!record) return res.status(404).json({ mensagem: 'Script não encontrado' });
+      RevisionService.ensure(record);
+      const full = OwnershipService.canManage(record, identify(req));
       res.json({
-        total: scripts.length,
-        scripts: scripts.slice(startIndex, startIndex + limit)
+        id: record.id,
+        revisaoAtual: full ? record.revisaoAtual : record.revisaoAprovada,
+        revisaoAprovada: record.revisaoAprovada,
+        revisoes: RevisionService.visible(record, full).map(({ script, avisos, impressao, ...info }) => ({ ...info, tamanho: script.length }))
       });
+    } catch (error) {
+      logger.error('Erro no GET /listar_revisoes:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar revisões' });
+    }
+  });
+
+  // Rota para obter uma revisão específica, com o conteúdo; revisões não
+  // aprovadas exigem o dono ou a moderação
+  app.get('/revisao/:id/:numero', identifyOwner, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      const numero = parseInt(req.params.numero);
+      if (isNaN(scriptId) || isNaN(numero)) {
+        return res.status(400).json({ mensagem: 'ID ou revisão inválidos' });
+      }
+      const scripts = await FileService.loadScripts();
+      const record = scripts.find(s => s.id === scriptId);
+      if (!record) return res.status(404).json({ mensagem: 'Script não encontrado' });
+      const revision = RevisionService.find(RevisionService.ensure(record), numero);
+      if (!revision) return res.status(404).json({ mensagem: 'Revisão não encontrada' });
+      const hidden = hiddenRevision(record, [revision], req);
+      if (hidden) return res.status(hidden.status).json({ mensagem: hidden.mensagem });
+      const { avisos, impressao, ...data } = revision;
+      res.json({ id: record.id, ...data });
+    } catch (error) {
+      logger.error('Erro no GET /revisao:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar revisão' });
+    }
+  });
+
+  // Rota para o diff por linhas entre duas revisões
+  // Exemplo de uso: GET /diff_revisoes/7?de=1&para=3 (padrão: penúltima -> última
+  // visível; para o público, as duas últimas aprovadas)
+  app.get('/diff_revisoes/:id', identifyOwner, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const scripts = await FileService.loadScripts();
+      const record = scripts.find(s => s.id === scriptId);
+      if (!record) return res.status(404).json({ mensagem: 'Script não encontrado' });
+      RevisionService.ensure(record);
+
+      const visible = RevisionService.visible(record, OwnershipService.canManage(record, identify(req)));
+      const para = parseInt(req.query.para) || (visible.length ? visible[visible.length - 1].numero : record.revisaoAtual);
+      const previous = [...visible].reverse().find(r => r.numero < para);
+      const de = parseInt(req.query.de) || (previous ? previous.numero : para - 1);
+      const from = RevisionService.find(record, de);
+      const to = RevisionService.find(record, para);
+      if (!from || !to) return res.status(404).json({ mensagem: 'Revisão não encontrada' });
+      const hidden = hiddenRevision(record, [from, to], req);
+      if (hidden) return res.status(hidden.status).json({ mensagem: hidden.mensagem });
+      res.json(RevisionService.diff(record, from, to));
+    } catch (error) {
+      logger.error('Erro no GET /diff_revisoes:', error);
+      res.status(500).json({ mensagem: 'Erro ao gerar diff' });
+    }
+  });
+
+  // Rota para listar scripts
+  // Filtros: status (lista separada por vírgula), nome, from/to (data de envio) e q (busca
+  // no nome e no conteúdo), placeId (jogo) e tag. Ordenação: sort=newest|oldest|name|rating (mais bem avaliados)|
+  // trending (em alta na semana). Paginação: page/limit.
+  // Exemplo de uso: GET /listar_scripts?status=Aprovado&q=esp&sort=name&page=2
+  app.get('/listar_scripts', async (req, res) => {
+    try {
+      const params = ListingService.parse(req.query);
+      if (params.error) return res.status(400).json({ mensagem: params.error });
+      const scripts = await FileService.loadScripts();
+      const result = ListingService.apply(scripts, params);
+      res.json({ ...result, scripts: result.scripts.map(toPublic) });
     } catch (error) {
       logger.error('Erro no GET /listar_scripts:', error);
       res.status(500).json({ mensagem: 'Erro ao carregar scripts' });
     }
   });
 
-  // Rota para atualizar status
-  app.patch('/alterar_status/:id', async (req, res) => {
+  // Catálogo: tags disponíveis
+  app.get('/listar_tags', async (req, res) => {
+    try {
+      res.json({ tags: await CatalogService.loadTags() });
+    } catch (error) {
+      logger.error('Erro no GET /listar_tags:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar tags' });
+    }
+  });
+
+  // Catálogo: jogos com a quantidade de scripts aprovados
+  app.get('/listar_jogos', async (req, res) => {
+    try {
+      const jogos = CatalogService.games(await FileService.loadScripts());
+      res.json({ total: jogos.length, jogos });
+    } catch (error) {
+      logger.error('Erro no GET /listar_jogos:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar jogos' });
+    }
+  });
+
+  // Scripts de um jogo ou de uma tag, com os filtros da listagem (por padrão só aprovados)
+  // Exemplo de uso: GET /jogos/920587237/scripts?sort=rating, GET /tags/auto-farm/scripts
+  const catalogListing = (filter, route) => async (req, res) => {
+    try {
+      const params = ListingService.parse({ status: 'Aprovado', ...req.query, ...filter(req.params) });
+      if (params.error) return res.status(400).json({ mensagem: params.error });
+      const result = ListingService.apply(await FileService.loadScripts(), params);
+      res.json({ ...result, scripts: result.scripts.map(toPublic) });
+    } catch (error) {
+      logger.error(`Erro no GET ${route}:`, error);
+      res.status(500).json({ mensagem: 'Erro ao carregar scripts' });
+    }
+  };
+  app.get('/jogos/:placeId/scripts', catalogListing(params => ({ placeId: params.placeId }), '/jogos/:placeId/scripts'));
+  app.get('/tags/:slug/scripts', catalogListing(params => ({ tag: params.slug }), '/tags/:slug/scripts'));
+
+  // Altera jogo e tags de um script (apenas dono ou moderação)
+  // Corpo: { jogo: { placeId, nome } | null, tags: [slugs] }; campos ausentes não mudam
+  app.patch('/alterar_catalogo/:id', identifyOwner, async (req, res) => {
     try {
       const scriptId = parseInt(req.params.id);
       if (isNaN(scriptId)) {
         return res.status(400).json({ mensagem: 'ID inválido' });
       }
-      // Validação do status; defina os status permitidos
-      const allowedStatus = ['Em análise', 'Aprovado', 'Rejeitado'];
-      const novoStatus = req.body.status;
-      if (!novoStatus || !allowedStatus.includes(novoStatus)) {
-        return res.status(400).json({ mensagem: 'Status inválido ou não fornecido' });
+      const identity = identify(req);
+      if (!identity) return res.status(ownerRequired.status).json({ mensagem: ownerRequired.mensagem });
+      const catalog = CatalogService.validate(req.body, await CatalogService.loadTags());
+      if (catalog.error) return res.status(400).json({ mensagem: catalog.error });
+      const result = await FileService.updateScripts(scripts => {
+        const record = scripts.find(s => s.id === scriptId);
+        if (!record) return { status: 404, mensagem: 'Script não encontrado' };
+        if (!OwnershipService.canManage(record, identity)) return ownerForbidden;
+        if (req.body.jogo !== undefined) record.jogo = catalog.jogo;
+        if (req.body.tags !== undefined) record.tags = catalog.tags;
+        return { status: 200, mensagem: 'Catálogo atualizado', jogo: record.jogo || null, tags: record.tags || [] };
+      });
+      const { status, ...body } = result;
+      res.status(status).json(body);
+    } catch (error) {
+      logger.error('Erro no PATCH /alterar_catalogo:', error);
+      res.status(500).json({ mensagem: 'Erro ao atualizar catálogo' });
+    }
+  });
+
+  // Administração das tags do catálogo. Corpo: { slug, nome, descricao }
+  app.post('/admin/tags', requireAdmin, async (req, res) => {
+    try {
+      const { slug, nome, descricao } = req.body;
+      if (typeof slug !== 'string' || !CONFIG.CATALOG.TAG_SLUG.test(slug)) {
+        return res.status(400).json({ mensagem: 'Slug inválido (2 a 32 caracteres: letras minúsculas, números e hífen)' });
       }
-      const scripts = await FileService.loadScripts();
-      const script = scripts.find(s => s.id === scriptId);
-      if (!script) return res.status(404).json({ mensagem: 'Script não encontrado' });
-      
-      script.status = novoStatus;
-      await FileService.saveScripts(scripts);
-      res.json({ mensagem: 'Status atualizado com sucesso' });
+      const error = CatalogService.validateTag({ nome, descricao });
+      if (error) return res.status(400).json({ mensagem: error });
+      const tag = await CatalogService.updateTags(tags => {
+        if (tags.some(t => t.slug === slug)) return null;
+        const created = { slug, nome: nome.trim(), descricao: descricao ? descricao.trim() : null, criadoEm: new Date().toISOString() };
+        tags.push(created);
+        return created;
+      });
+      if (!tag) return res.status(409).json({ mensagem: 'Tag já cadastrada' });
+      res.status(201).json({ mensagem: 'Tag cadastrada', tag });
+    } catch (error) {
+      logger.error('Erro no POST /admin/tags:', error);
+      res.status(500).json({ mensagem: 'Erro ao cadastrar tag' });
+    }
+  });
+
+  app.put('/admin/tags/:slug', requireAdmin, async (req, res) => {
+    try {
+      const { nome, descricao } = req.body;
+      const error = CatalogService.validateTag({ nome, descricao });
+      if (error) return res.status(400).json({ mensagem: error });
+      const tag = await CatalogService.updateTags(tags => {
+        const found = tags.find(t => t.slug === req.params.slug);
+        if (!found) return null;
+        found.nome = nome.trim();
+        found.descricao = descricao ? descricao.trim() : null;
+        return found;
+      });
+      if (!tag) return res.status(404).json({ mensagem: 'Tag não encontrada' });
+      res.json({ mensagem: 'Tag atualizada', tag });
+    } catch (error) {
+      logger.error('Erro no PUT /admin/tags:', error);
+      res.status(500).json({ mensagem: 'Erro ao atualizar tag' });
+    }
+  });
+
+  // Remove a tag do catálogo e dos scripts que a usavam
+  app.delete('/admin/tags/:slug', requireAdmin, async (req, res) => {
+    try {
+      const { slug } = req.params;
+      const removed = await CatalogService.updateTags(tags => {
+        const index = tags.findIndex(t => t.slug === slug);
+        if (index === -1) return false;
+        tags.splice(index, 1);
+        return true;
+      });
+      if (!removed) return res.status(404).json({ mensagem: 'Tag não encontrada' });
+      const scriptsAfetados = await FileService.updateScripts(scripts => {
+        const affected = scripts.filter(s => (s.tags || []).includes(slug));
+        affected.forEach(s => {
+          s.tags = s.tags.filter(t => t !== slug);
+        });
+        return affected.length;
+      });
+      res.json({ mensagem: 'Tag removida', scriptsAfetados });
+    } catch (error) {
+      logger.error('Erro no DELETE /admin/tags:', error);
+      res.status(500).json({ mensagem: 'Erro ao remover tag' });
+    }
+  });
+
+  // Cota de envios de quem faz a requisição (token de dono ou chave de API)
+  app.get('/minha_cota', identifyOwner, async (req, res) => {
+    try {
+      const identity = identify(req) || { dono: null, moderador: false, origem: OwnershipService.origin(req) };
+      const [scripts, quota] = await Promise.all([FileService.loadScripts(), QuotaService.load()]);
+      res.json(QuotaService.usage(identity, scripts, quota));
+    } catch (error) {
+      logger.error('Erro no GET /minha_cota:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar a cota' });
+    }
+  });
+
+  // Administração das cotas: configuração atual e donos com envios no período
+  app.get('/admin/cotas', requireAdmin, async (req, res) => {
+    try {
+      const [scripts, quota] = await Promise.all([FileService.loadScripts(), QuotaService.load()]);
+      res.json({ config: quota.config, donos: QuotaService.owners(scripts, quota) });
+    } catch (error) {
+      logger.error('Erro no GET /admin/cotas:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar as cotas' });
+    }
+  });
+
+  // Altera a configuração das cotas. Corpo (campos opcionais):
+  // { modo: "calendario" | "janela", fusoHorario, janelaHoras, aprovadosParaConfiavel,
+  //   limites: { novo, confiavel, moderador } }
+  app.put('/admin/cotas/config', requireAdmin, async (req, res) => {
+    try {
+      const error = QuotaService.validateConfig(req.body || {});
+      if (error) return res.status(400).json({ mensagem: error });
+      const fields = ['modo', 'fusoHorario', 'janelaHoras', 'aprovadosParaConfiavel'];
+      await QuotaService.update(data => {
+        const config = data.config || {};
+        fields.forEach(field => {
+          if (req.body[field] !== undefined) config[field] = req.body[field];
+        });
+        if (req.body.limites) config.limites = { ...(config.limites || {}), ...req.body.limites };
+        data.config = config;
+      });
+      res.json({ mensagem: 'Configuração das cotas atualizada', config: (await QuotaService.load()).config });
+    } catch (error) {
+      logger.error('Erro no PUT /admin/cotas/config:', error);
+      res.status(500).json({ mensagem: 'Erro ao atualizar as cotas' });
+    }
+  });
+
+  // O dono vem de ?dono= ("chave:<id>" ou "token:<hash>", como listado em
+  // GET /admin/cotas) ou do id de um script dele (?script=<id>)
+  const resolveOwner = async query => {
+    if (typeof query.dono === 'string' && query.dono) return query.dono;
+    const record = (await FileService.loadScripts()).find(s => s.id === parseInt(query.script));
+    return record ? record.dono || null : null;
+  };
+
+  // Uso da cota de um dono
+  app.get('/admin/cotas/uso', requireAdmin, async (req, res) => {
+    try {
+      const dono = await resolveOwner(req.query);
+      if (!dono) return res.status(404).json({ mensagem: 'Dono não encontrado' });
+      const [scripts, quota] = await Promise.all([FileService.loadScripts(), QuotaService.load()]);
+      res.json({ dono, ...QuotaService.usage({ dono }, scripts, quota), resetEm: quota.resets[dono] || null });
+    } catch (error) {
+      logger.error('Erro no GET /admin/cotas/uso:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar a cota' });
+    }
+  });
+
+  // Zera o uso da cota de um dono: envios até agora deixam de contar. O reset
+  // vale também para as origens dos envios dele, que a cota anônima conta
+  app.delete('/admin/cotas/uso', requireAdmin, async (req, res) => {
+    try {
+      const dono = await resolveOwner(req.query);
+      if (!dono) return res.status(404).json({ mensagem: 'Dono não encontrado' });
+      const resetEm = new Date().toISOString();
+      const origens = [...new Set((await FileService.loadScripts()).filter(s => s.dono === dono && s.origem).map(s => s.origem))];
+      await QuotaService.update(data => {
+        data.resets = { ...(data.resets || {}), [dono]: resetEm };
+        origens.forEach(origem => {
+          data.resets[QuotaService.originKey(origem)] = resetEm;
+        });
+      });
+      res.json({ mensagem: 'Cota reiniciada', dono, resetEm });
+    } catch (error) {
+      logger.error('Erro no DELETE /admin/cotas/uso:', error);
+      res.status(500).json({ mensagem: 'Erro ao reiniciar a cota' });
+    }
+  });
+
+  // Webhooks de saída (administração). Eventos: script.submitted,
+  // script.status_changed e script.removed (ou "*" para todos)
+  app.get('/admin/webhooks', requireAdmin, async (req, res) => {
+    try {
+      res.json({ eventos: Object.values(EVENTS), webhooks: await webhooks.list() });
+    } catch (error) {
+      logger.error('Erro no GET /admin/webhooks:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar webhooks' });
+    }
+  });
+
+  // Corpo: { url, eventos: [...], formato: "json" | "discord" }. O segredo
+  // usado na assinatura HMAC só é devolvido nesta resposta.
+  app.post('/admin/webhooks', requireAdmin, async (req, res) => {
+    try {
+      const error = webhooks.validate(req.body || {});
+      if (error) return res.status(400).json({ mensagem: error });
+      const webhook = await webhooks.create(req.body);
+      res.status(201).json({ mensagem: 'Webhook criado; guarde o segredo, ele não será exibido novamente', webhook });
+    } catch (error) {
+      logger.error('Erro no POST /admin/webhooks:', error);
+      res.status(500).json({ mensagem: 'Erro ao criar webhook' });
+    }
+  });
+
+  // Log de entregas. Filtros: webhook (id), status (entregue, erro, falhou, descartada), limit
+  app.get('/admin/webhooks/entregas', requireAdmin, async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+      res.json(await webhooks.deliveries({ webhookId: req.query.webhook, status: req.query.status, limit }));
+    } catch (error) {
+      logger.error('Erro no GET /admin/webhooks/entregas:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar entregas' });
+    }
+  });
+
+  // Corpo (campos opcionais): { url, eventos, formato, ativo }
+  app.patch('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+      const error = webhooks.validate(req.body || {}, true);
+      if (error) return res.status(400).json({ mensagem: error });
+      const webhook = await webhooks.update(req.params.id, req.body);
+      if (!webhook) return res.status(404).json({ mensagem: 'Webhook não encontrado' });
+      res.json({ mensagem: 'Webhook atualizado', webhook });
+    } catch (error) {
+      logger.error('Erro no PATCH /admin/webhooks:', error);
+      res.status(500).json({ mensagem: 'Erro ao atualizar webhook' });
+    }
+  });
+
+  app.delete('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+      if (!await webhooks.remove(req.params.id)) {
+        return res.status(404).json({ mensagem: 'Webhook não encontrado' });
+      }
+      res.json({ mensagem: 'Webhook removido' });
+    } catch (error) {
+      logger.error('Erro no DELETE /admin/webhooks:', error);
+      res.status(500).json({ mensagem: 'Erro ao remover webhook' });
+    }
+  });
+
+  // Envia um evento webhook.ping para testar o receptor
+  app.post('/admin/webhooks/:id/ping', requireAdmin, async (req, res) => {
+    try {
+      const delivery = await webhooks.ping(req.params.id);
+      if (!delivery) return res.status(404).json({ mensagem: 'Webhook não encontrado' });
+      res.status(202).json({ mensagem: 'Ping enfileirado; acompanhe em /admin/webhooks/entregas', entregaId: delivery.id });
+    } catch (error) {
+      logger.error('Erro no POST /admin/webhooks/ping:', error);
+      res.status(500).json({ mensagem: 'Erro ao enviar ping' });
+    }
+  });
+
+  // Exportação do catálogo (administração). Com ?completo=1 (json ou ndjson)
+  // leva também donos, revisões, votos, favoritos e uso, para restaurar um backup.
+  // Exemplo de uso: GET /admin/exportar?formato=csv&status=Aprovado&from=2024-01-01
+  app.get('/admin/exportar', requireAdmin, async (req, res) => {
+    try {
+      const formato = req.query.formato || 'json';
+      const contentType = CONFIG.TRANSFER.FORMATS[formato];
+      const completo = ['1', 'true'].includes(String(req.query.completo));
+      if (!contentType) {
+        return res.status(400).json({ mensagem: `Formato inválido. Utilize: ${Object.keys(CONFIG.TRANSFER.FORMATS).join(', ')}` });
+      }
+      if (completo && formato === 'csv') {
+        return res.status(400).json({ mensagem: 'A exportação completa só está disponível em json ou ndjson' });
+      }
+      const result = TransferService.filter(await FileService.loadScripts(), req.query);
+      if (result.error) return res.status(400).json({ mensagem: result.error });
+      const records = result.scripts.map(record => TransferService.toExport(record, completo));
+      const fileName = `scripts-${new Date().toISOString().slice(0, 10)}.${formato}`;
+      res.set('Content-Type', `${contentType}; charset=utf-8`);
+      res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(TransferService.serialize(records, formato));
+    } catch (error) {
+      logger.error('Erro no GET /admin/exportar:', error);
+      res.status(500).json({ mensagem: 'Erro ao exportar scripts' });
+    }
+  });
+
+  // Importação em lote (administração). Aceita JSON (lista ou { scripts }),
+  // NDJSON ou CSV no formato da exportação. Cada registro passa pela mesma
+  // validação do /enviar_script; com ?dryRun=1 nada é gravado e só o
+  // relatório (aceito, duplicado ou invalido com o motivo) é devolvido.
+  // Os ids exportados são mantidos quando livres ("mapaIds" lista os que
+  // mudaram). Registros da exportação completa voltam com dono, revisões,
+  // votos, favoritos e uso; os do formato simples ficam com a chave que
+  // importou como dona e sem CONFIG.TRANSFER.NOT_RESTORED ("naoRestaurados").
+  app.post(
+    '/admin/importar',
+    requireAdmin,
+    express.text({ type: ['application/x-ndjson', 'text/csv'], limit: CONFIG.TRANSFER.BODY_LIMIT }),
+    async (req, res) => {
+      try {
+        const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+        const parsed = TransferService.parse(req);
+        if (parsed.error) return res.status(400).json({ mensagem: parsed.error });
+        if (parsed.records.length > CONFIG.TRANSFER.MAX_IMPORT) {
+          return res.status(400).json({ mensagem: `Máximo de ${CONFIG.TRANSFER.MAX_IMPORT} registros por importação` });
+        }
+        const catalog = await CatalogService.loadTags();
+        // A análise do Lua roda fora da operação exclusiva
+        const validated = parsed.records.map(item => ({ item, ...TransferService.validate(item, catalog) }));
+        const dono = `chave:${req.auth.id}`;
+        const relatorio = dryRun
+          ? TransferService.apply(await FileService.loadScripts(), validated, dono)
+          : await FileService.updateScripts(scripts => TransferService.apply(scripts, validated, dono));
+        const count = resultado => relatorio.filter(r => r.resultado === resultado).length;
+        res.status(dryRun ? 200 : 201).json({
+          mensagem: dryRun ? 'Simulação concluída; nada foi gravado' : 'Importação concluída',
+          dryRun,
+          total: relatorio.length,
+          aceitos: count('aceito'),
+          duplicados: count('duplicado'),
+          invalidos: count('invalido'),
+          mapaIds: Object.fromEntries(relatorio.filter(r => r.idOriginal).map(r => [r.idOriginal, r.id])),
+          relatorio
+        });
+      } catch (error) {
+        logger.error('Erro no POST /admin/importar:', error);
+        res.status(500).json({ mensagem: 'Erro ao importar scripts' });
+      }
+    }
+  );
+
+  // Favoritos do usuário (token de dono, chave de API ou, sem eles, a origem),
+  // com os mesmos filtros, ordenação e paginação da listagem
+  app.get('/meus_favoritos', identifyOwner, async (req, res) => {
+    try {
+      const identity = identify(req) || OwnershipService.anonymous(req);
+      const params = ListingService.parse(req.query);
+      if (params.error) return res.status(400).json({ mensagem: params.error });
+      params.favoritoDe = identity.dono;
+      const result = ListingService.apply(await FileService.loadScripts(), params);
+      res.json({ ...result, scripts: result.scripts.map(toPublic) });
+    } catch (error) {
+      logger.error('Erro no GET /meus_favoritos:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar favoritos' });
+    }
+  });
+
+  // Avaliar um script aprovado. Corpo: { nota } de 1 a 5; votar de novo
+  // substitui o voto anterior. Sem chave nem token, o voto é da origem (IP).
+  app.post('/avaliar_script/:id', identifyOwner, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const nota = Number(req.body.nota);
+      if (!Number.isInteger(nota) || nota < 1 || nota > 5) {
+        return res.status(400).json({ mensagem: 'Nota inválida (inteiro de 1 a 5)' });
+      }
+      const identity = identify(req) || OwnershipService.anonymous(req);
+      const result = await updateApproved(scriptId, record => {
+        EngagementService.rate(record, identity.dono, nota);
+        return { status: 200, mensagem: 'Avaliação registrada', avaliacao: record.avaliacao };
+      });
+      res.status(result.status).json({ mensagem: result.mensagem, avaliacao: result.avaliacao });
+    } catch (error) {
+      logger.error('Erro no POST /avaliar_script:', error);
+      res.status(500).json({ mensagem: 'Erro ao registrar avaliação' });
+    }
+  });
+
+  // Marcar (POST) ou desmarcar (DELETE) um script aprovado como favorito.
+  // Sem chave nem token, o favorito é da origem (IP).
+  const favoriteHandler = marcar => async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const identity = identify(req) || OwnershipService.anonymous(req);
+      const result = await updateApproved(scriptId, record => {
+        const changed = EngagementService.favorite(record, identity.dono, marcar);
+        const mensagem = marcar
+          ? (changed ? 'Script adicionado aos favoritos' : 'Script já está nos favoritos')
+          : (changed ? 'Script removido dos favoritos' : 'Script não está nos favoritos');
+        return { status: 200, mensagem, favoritos: record.favoritos };
+      });
+      res.status(result.status).json({ mensagem: result.mensagem, favoritos: result.favoritos });
+    } catch (error) {
+      logger.error(`Erro no ${req.method} /favoritar_script:`, error);
+      res.status(500).json({ mensagem: 'Erro ao atualizar favoritos' });
+    }
+  };
+  app.post('/favoritar_script/:id', identifyOwner, favoriteHandler(true));
+  app.delete('/favoritar_script/:id', identifyOwner, favoriteHandler(false));
+
+  // Contadores de uso de um script aprovado. Corpo: { tipo: "visualizacao" | "copia" }
+  // Cada origem conta uma vez por tipo dentro de CONFIG.ENGAGEMENT.USAGE_WINDOW.
+  app.post('/registrar_uso/:id', async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const field = CONFIG.ENGAGEMENT.USAGE_TYPES[req.body.tipo];
+      if (!field) {
+        return res.status(400).json({ mensagem: `Tipo inválido. Utilize: ${Object.keys(CONFIG.ENGAGEMENT.USAGE_TYPES).join(', ')}` });
+      }
+      const repeated = EngagementService.usedRecently(scriptId, field, OwnershipService.origin(req));
+      const result = await updateApproved(scriptId, record => {
+        if (repeated) {
+          return { status: 200, mensagem: 'Uso já registrado', visualizacoes: record.visualizacoes, copias: record.copias };
+        }
+        EngagementService.count(record, field);
+        return { status: 200, mensagem: 'Uso registrado', visualizacoes: record.visualizacoes, copias: record.copias };
+      });
+      const { status, ...body } = result;
+      res.status(status).json(body);
+    } catch (error) {
+      logger.error('Erro no POST /registrar_uso:', error);
+      res.status(500).json({ mensagem: 'Erro ao registrar uso' });
+    }
+  });
+
+  // Rota para atualizar status (aplicado à revisão mais recente)
+  // Corpo: { status, motivo (obrigatório ao rejeitar), comentario }
+  app.patch('/alterar_status/:id', requireModerator, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const { status, motivo, comentario } = req.body;
+      let event = null;
+      const result = await FileService.updateScripts(scripts => {
+        const script = scripts.find(s => s.id === scriptId);
+        if (!script) return { status: 404, mensagem: 'Script não encontrado' };
+        RevisionService.ensure(script);
+        const error = ModerationService.validate(script, { status, motivo });
+        if (error) return { status: 400, mensagem: error };
+        const entry = ModerationService.transition(script, { status, motivo, comentario }, req.auth);
+        event = eventData(script, { de: entry.de, para: entry.para, motivo: entry.motivo, revisor: entry.revisor });
+        return { status: 200, mensagem: 'Status atualizado com sucesso', historico: entry };
+      });
+      res.status(result.status).json({ mensagem: result.mensagem, historico: result.historico });
+      if (event) webhooks.emit(EVENTS.STATUS_CHANGED, event);
     } catch (error) {
       logger.error('Erro no PATCH /alterar_status:', error);
       res.status(500).json({ mensagem: 'Erro ao atualizar status' });
     }
   });
 
-  // Rota para remover script
-  app.delete('/remover_script/:id', async (req, res) => {
+  // Fila de moderação: revisões "Em análise", das mais antigas para as mais recentes
+  app.get('/fila_moderacao', requireModerator, async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), CONFIG.LIMITS.MAX_PAGE_SIZE);
+      const queue = ModerationService.queue(await FileService.loadScripts());
+      const startIndex = (page - 1) * limit;
+      res.json({ total: queue.length, page, limit, fila: queue.slice(startIndex, startIndex + limit) });
+    } catch (error) {
+      logger.error('Erro no GET /fila_moderacao:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar a fila de moderação' });
+    }
+  });
+
+  // Histórico de moderação de um script (revisor, transição, motivo e comentários)
+  app.get('/historico_moderacao/:id', requireModerator, async (req, res) => {
     try {
       const scriptId = parseInt(req.params.id);
       if (isNaN(scriptId)) {
         return res.status(400).json({ mensagem: 'ID inválido' });
       }
-      let scripts = await FileService.loadScripts();
-      const initialLength = scripts.length;
-      scripts = scripts.filter(s => s.id !== scriptId);
-      if (scripts.length === initialLength) {
-        return res.status(404).json({ mensagem: 'Script não encontrado' });
+      const scripts = await FileService.loadScripts();
+      const record = scripts.find(s => s.id === scriptId);
+      if (!record) return res.status(404).json({ mensagem: 'Script não encontrado' });
+      res.json({ id: record.id, historico: record.historico || [] });
+    } catch (error) {
+      logger.error('Erro no GET /historico_moderacao:', error);
+      res.status(500).json({ mensagem: 'Erro ao carregar o histórico' });
+    }
+  });
+
+  // Rota para retirar um script de circulação (apenas dono ou moderação).
+  // O registro e o histórico são mantidos; o script some da listagem e da fila.
+  // Corpo opcional: { comentario }
+  app.post('/retirar_script/:id', identifyOwner, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
       }
-      await FileService.saveScripts(scripts);
-      res.json({ mensagem: 'Script removido com sucesso' });
+      const identity = identify(req);
+      if (!identity) return res.status(ownerRequired.status).json({ mensagem: ownerRequired.mensagem });
+      let event = null;
+      const result = await FileService.updateScripts(scripts => {
+        const record = scripts.find(s => s.id === scriptId);
+        if (!record) return { status: 404, mensagem: 'Script não encontrado' };
+        if (!OwnershipService.canManage(record, identity)) return ownerForbidden;
+        if (record.retiradoEm) return { status: 400, mensagem: 'Script já foi retirado' };
+        RevisionService.ensure(record);
+        const entry = ModerationService.withdraw(record, identity, (req.body || {}).comentario);
+        event = eventData(record, { de: entry.de, para: entry.para, motivo: null, revisor: entry.revisor });
+        return { status: 200, mensagem: 'Script retirado com sucesso', historico: entry };
+      });
+      res.status(result.status).json({ mensagem: result.mensagem, historico: result.historico });
+      if (event) webhooks.emit(EVENTS.STATUS_CHANGED, event);
+    } catch (error) {
+      logger.error('Erro no POST /retirar_script:', error);
+      res.status(500).json({ mensagem: 'Erro ao retirar script' });
+    }
+  });
+
+  // Rota para remover script (apenas dono ou moderação)
+  app.delete('/remover_script/:id', identifyOwner, async (req, res) => {
+    try {
+      const scriptId = parseInt(req.params.id);
+      if (isNaN(scriptId)) {
+        return res.status(400).json({ mensagem: 'ID inválido' });
+      }
+      const identity = identify(req);
+      if (!identity) return res.status(ownerRequired.status).json({ mensagem: ownerRequired.mensagem });
+      let event = null;
+      const result = await FileService.updateScripts(scripts => {
+        const index = scripts.findIndex(s => s.id === scriptId);
+        if (index === -1) return { status: 404, mensagem: 'Script não encontrado' };
+        if (!OwnershipService.canManage(scripts[index], identity)) return ownerForbidden;
+        const [removed] = scripts.splice(index, 1);
+        event = eventData(removed, { removidoPor: identity.moderador ? 'moderacao' : 'dono' });
+        return { status: 200, mensagem: 'Script removido com sucesso' };
+      });
+      res.status(result.status).json({ mensagem: result.mensagem });
+      if (event) webhooks.emit(EVENTS.REMOVED, event);
     } catch (error) {
       logger.error('Erro no DELETE /remover_script:', error);
       res.status(500).json({ mensagem: 'Erro ao remover script' });
     }
   });
 };
+
+// Para a entrega dos webhooks; as entregas pendentes continuam na fila
+module.exports.shutdown = async function() {
+  if (webhooks) await webhooks.stop();
+};
+
+// Serviços internos expostos para os testes (test/)
+module.exports._internals = { QuotaService, EngagementService, OwnershipService, RevisionService };
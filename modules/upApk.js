@@ -2,114 +2,1732 @@ const fs = require('fs');
 
 const path = require('path');
 
-// Função para ler o arquivo .update.json
+const crypto = require('crypto');
 
-const readUpdateFile = () => {
+const { Transform } = require('stream');
 
-  const filePath = path.join(__dirname, '.update.json');
+const { pipeline } = require('stream/promises');
 
-  if (fs.existsSync(filePath)) {
+const { CONFIG: STORAGE_CONFIG } = require('../lib/storage');
 
-    const data = fs.readFileSync(filePath);
+// Diretório dos APKs enviados ao servidor (um arquivo por SHA-256)
 
-    return JSON.parse(data);
+const APK_DIR = path.resolve(process.env.APK_STORAGE_DIR || path.join(STORAGE_CONFIG.DATA_DIR, 'apks'));
+
+// Tamanho máximo de um APK enviado (bytes)
+
+const APK_MAX_SIZE = parseInt(process.env.APK_MAX_SIZE) || 200 * 1024 * 1024;
+
+// Rota antiga GET /edit/apk-up (altera o status via GET, com a chave em ?session=).
+
+// Desativada por padrão; APK_LEGACY_EDIT_ROUTE=true a registra de novo
+
+const LEGACY_EDIT_ROUTE = process.env.APK_LEGACY_EDIT_ROUTE === 'true';
+
+// Coleção com o status de atualização (antigo .update.json), definida no setup
+
+let updateStore = null;
+
+// Coleção com o histórico de alterações do status de atualização, das versões
+
+// e dos canais, definida no setup
+
+let historyStore = null;
+
+// Entradas mantidas no histórico de alterações
+
+const MAX_HISTORY_ENTRIES = 200;
+
+// Coleção com o registro de versões por canal, definida no setup
+
+let releasesStore = null;
+
+// Canais de distribuição aceitos
+
+const CHANNELS = ['stable', 'beta'];
+
+// Estados de um rollout gradual: active (oferecido à porcentagem definida),
+
+// paused (não alcança novos dispositivos) e halted (suspenso para todos)
+
+const ROLLOUT_STATES = ['active', 'paused', 'halted'];
+
+// Coleção com os dispositivos vistos nas verificações, definida no setup
+
+let devicesStore = null;
+
+// Dispositivos em memória: { [hash do deviceId]: { channel, versionCode, offered, seenAt } }
+
+let devices = {};
+
+let devicesDirty = false;
+
+let flushInterval = null;
+
+// Dispositivos sem verificar atualizações há mais tempo saem da contagem (dias)
+
+const DEVICE_RETENTION_DAYS = parseInt(process.env.APK_DEVICE_RETENTION_DAYS) || 90;
+
+// Intervalo para gravar os dispositivos vistos (ms)
+
+const DEVICES_FLUSH_INTERVAL = 10000;
+
+// Versões oferecidas guardadas por dispositivo
+
+const MAX_OFFERED_PER_DEVICE = 10;
+
+// Dispositivos guardados no máximo; acima disso sai o visto há mais tempo
+
+const MAX_DEVICES = parseInt(process.env.APK_MAX_DEVICES) || 100000;
+
+// Dispositivos novos registrados por origem (IP) a cada minuto; as verificações
+
+// acima disso são respondidas normalmente, só não entram na contagem
+
+const DEVICES_PER_ORIGIN = parseInt(process.env.APK_DEVICES_PER_ORIGIN) || 20;
+
+const ORIGIN_WINDOW = 60 * 1000;
+
+// Dispositivos novos por origem na janela atual
+
+let originWindow = { startedAt: 0, counts: new Map() };
+
+// Função para ler o status de atualização (null se ainda não existir)
+
+const readUpdateData = () => updateStore.read();
+
+// Função para salvar o status de atualização
+
+const saveUpdateData = (data) => updateStore.write(data);
+
+// Status de atualização padrão, antes da primeira alteração
+
+const defaultUpdateData = () => ({ result: 'false', linkUp: '' });
+
+// Status como retornado pelas rotas de edição
+
+const updateView = (data) => ({
+
+  result: data.result,
+
+  linkUp: data.linkUp,
+
+  percentage: data.percentage === undefined ? 100 : data.percentage
+
+});
+
+// URL absoluta http ou https
+
+const isHttpUrl = (value) => {
+
+  try {
+
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+
+  } catch (error) {
+
+    return false;
+
+  }
+
+};
+
+// Função para validar uma alteração do status { result, linkUp, percentage };
+
+// retorna { error } ou { changes } só com os campos informados
+
+const parseUpdateChange = ({ result, linkUp, percentage }) => {
+
+  const changes = {};
+
+  if (result !== undefined) {
+
+    if (![true, false, 'true', 'false'].includes(result)) return { error: 'result deve ser true ou false' };
+
+    changes.result = String(result);
+
+  }
+
+  if (linkUp !== undefined) {
+
+    if (typeof linkUp !== 'string' || !isHttpUrl(linkUp)) return { error: 'linkUp deve ser uma URL http ou https' };
+
+    changes.linkUp = linkUp;
+
+  }
+
+  if (percentage !== undefined) {
+
+    if (!isValidPercentage(percentage)) return { error: 'percentage deve ser um número de 0 a 100' };
+
+    changes.percentage = percentage;
+
+  }
+
+  if (!Object.keys(changes).length) return { error: 'Informe result, linkUp e/ou percentage' };
+
+  return { changes };
+
+};
+
+// Entrada nova do histórico: quem alterou, quando e o estado antes e depois
+
+const historyEntry = (req, action, fields) => ({
+
+  id: crypto.randomBytes(6).toString('hex'),
+
+  at: new Date().toISOString(),
+
+  actor: { id: req.auth.id, name: req.auth.name, ip: req.ip },
+
+  action,
+
+  ...fields
+
+});
+
+// APKs hospedados citados por uma entrada do histórico
+
+const entryFiles = (entry) => [entry.before, entry.after].filter(state => state && state.file).map(state => state.file.sha256);
+
+// Função para acrescentar uma entrada ao histórico, descartando as mais
+
+// antigas; retorna os APKs citados pelas entradas descartadas
+
+const appendHistory = (history, entry) => {
+
+  history.push(entry);
+
+  if (history.length <= MAX_HISTORY_ENTRIES) return [];
+
+  return history.splice(0, history.length - MAX_HISTORY_ENTRIES).flatMap(entryFiles);
+
+};
+
+// Função para gravar um novo status e registrar a alteração no histórico.
+
+// next(before) recebe o status atual e devolve o novo; o lock do histórico
+
+// serializa as alterações. Retorna a entrada do histórico.
+
+const changeUpdateData = (req, action, next, extra = {}) => historyStore.update(async (history) => {
+
+  const before = await readUpdateData();
+
+  const after = next(before || defaultUpdateData());
+
+  await saveUpdateData(after);
+
+  const entry = historyEntry(req, action, { kind: 'update', ...extra, before, after });
+
+  appendHistory(history, entry);
+
+  return entry;
+
+});
+
+// Função para alterar o registro de versões e registrar a alteração no
+
+// histórico. change(registry) altera o registro no lugar e devolve { error }
+
+// (sem alterar nada) ou os campos da entrada: { kind: 'release', channel,
+
+// versionCode, before, after } para uma versão e { kind: 'channel', channel,
+
+// before, after } para a versão mínima, com os APKs que a versão deixou de
+
+// usar em unused. Retorna { error } ou { entry }.
+
+const changeReleases = async (req, action, change, extra = {}) => {
+
+  const result = await historyStore.update(async (history) => {
+
+    const changed = await updateReleases(change);
+
+    if (changed.error) return changed;
+
+    const { unused = [], ...fields } = changed;
+
+    const entry = historyEntry(req, action, { ...extra, ...fields });
+
+    return { entry, unused: [...unused, ...appendHistory(history, entry)] };
+
+  });
+
+  if (result.error) return result;
+
+  await removeUnusedApks(result.unused);
+
+  return { entry: result.entry };
+
+};
+
+// Registro vazio: { channels: { stable: { minSupportedVersion, releases: [...] }, beta: {...} } }
+
+const emptyRegistry = () => ({
+
+  channels: Object.fromEntries(CHANNELS.map(channel => [channel, { minSupportedVersion: null, releases: [] }]))
+
+});
+
+// Função para ler o registro de versões
+
+const readReleases = () => releasesStore.read();
+
+// Função para alterar o registro de versões com exclusividade (fn altera o registro no lugar)
+
+const updateReleases = (fn) => releasesStore.update(fn);
+
+// Porcentagem de rollout: número de 0 a 100
+
+const isValidPercentage = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+// Rollout inicial de uma versão nova (100% se não informado)
+
+const newRollout = (percentage) => ({
+
+  percentage: percentage === undefined ? 100 : percentage,
+
+  state: 'active',
+
+  updatedAt: new Date().toISOString()
+
+});
+
+// Rollout de uma versão; versões publicadas antes do rollout gradual valem para todos
+
+const rolloutOf = (release) => release.rollout || { percentage: 100, state: 'active', updatedAt: null };
+
+// Versão em rollout gradual: abaixo de 100%, pausada ou suspensa
+
+const inRollout = (release) => {
+
+  const { percentage, state } = rolloutOf(release);
+
+  return percentage < 100 || state !== 'active';
+
+};
+
+// Identificador do dispositivo como é gravado (o deviceId original não é armazenado)
+
+const deviceKey = (deviceId) => crypto.createHash('sha256').update(deviceId).digest('hex').slice(0, 24);
+
+// Posição do dispositivo no rollout de uma versão (ou link), de 0 a 99.99.
+
+// Cada versão sorteia um grupo diferente, e aumentar a porcentagem mantém os
+
+// dispositivos que já estavam no grupo.
+
+const rolloutBucket = (deviceId, version) => {
+
+  const hash = crypto.createHash('sha256').update(`${version}:${deviceId}`).digest();
+
+  return (hash.readUInt32BE(0) % 10000) / 100;
+
+};
+
+// Função para saber se a versão é oferecida ao dispositivo. Quem já recebeu a
+
+// oferta continua recebendo enquanto o rollout estiver pausado; sem deviceId,
+
+// só versões com 100% ativas são oferecidas.
+
+const isOffered = (release, deviceId) => {
+
+  const { percentage, state } = rolloutOf(release);
+
+  if (state === 'halted') return false;
+
+  const device = deviceId ? devices[deviceKey(deviceId)] : null;
+
+  if (device && device.offered.includes(release.versionCode)) return true;
+
+  if (state === 'paused') return false;
+
+  if (percentage >= 100) return true;
+
+  return Boolean(deviceId) && rolloutBucket(deviceId, release.versionCode) < percentage;
+
+};
+
+// Status antigo (result/linkUp) visto pelo dispositivo: com percentage abaixo
+
+// de 100, só os dispositivos sorteados pelo deviceId recebem result 'true'
+
+const legacyResult = (data, deviceId) => {
+
+  if (!data) return 'false';
+
+  if (data.result !== 'true' || data.percentage === undefined || data.percentage >= 100) return data.result;
+
+  return deviceId && rolloutBucket(deviceId, data.linkUp) < data.percentage ? 'true' : 'false';
+
+};
+
+// Função para validar uma versão nova; retorna a mensagem de erro ou null
+
+const validateRelease = ({ channel, versionCode, versionName, changelog, releaseDate, downloadUrl, rolloutPercentage }) => {
+
+  if (!CHANNELS.includes(channel)) return `Canal inválido. Utilize: ${CHANNELS.join(', ')}`;
+
+  if (!Number.isInteger(versionCode) || versionCode < 1) return 'versionCode deve ser um inteiro positivo';
+
+  if (typeof versionName !== 'string' || !versionName.trim()) return 'Informe o versionName';
+
+  if (changelog !== undefined && typeof changelog !== 'string') return 'changelog deve ser texto';
+
+  if (releaseDate !== undefined && isNaN(Date.parse(releaseDate))) return 'releaseDate inválida (use ISO 8601)';
+
+  if (rolloutPercentage !== undefined && !isValidPercentage(rolloutPercentage)) return 'rolloutPercentage deve ser um número de 0 a 100';
+
+  if (typeof downloadUrl !== 'string' || !isHttpUrl(downloadUrl)) return 'downloadUrl deve ser uma URL http ou https';
+
+  return null;
+
+};
+
+// Versões e versão mínima vistas por um canal. O beta também recebe as
+
+// versões do stable e respeita a maior das duas versões mínimas.
+
+const channelView = (registry, channel) => {
+
+  const own = registry.channels[channel];
+
+  if (channel === 'stable') return own;
+
+  const stable = registry.channels.stable;
+
+  const mins = [own.minSupportedVersion, stable.minSupportedVersion].filter(v => v !== null);
+
+  return {
+
+    minSupportedVersion: mins.length ? Math.max(...mins) : null,
+
+    releases: [...own.releases, ...stable.releases]
+
+  };
+
+};
+
+// Versão mais nova de uma lista (null se vazia)
+
+const newestRelease = (releases) => releases.reduce((best, release) => (!best || release.versionCode > best.versionCode ? release : best), null);
+
+// Função para comparar a versão do cliente com o canal:
+
+// up-to-date, optional-update ou mandatory-update (abaixo da minSupportedVersion).
+
+// Só entram as versões cujo rollout alcança o dispositivo.
+
+const checkUpdate = (registry, { channel, versionCode, deviceId }) => {
+
+  const { minSupportedVersion, releases } = channelView(registry, channel);
+
+  const mandatory = minSupportedVersion !== null && versionCode < minSupportedVersion;
+
+  let latest = newestRelease(releases.filter(release => isOffered(release, deviceId)));
+
+  // Abaixo da versão mínima o app precisa atualizar mesmo fora do rollout:
+
+  // recebe a versão não suspensa mais nova que atende a mínima
+
+  if (mandatory && (!latest || latest.versionCode < minSupportedVersion)) {
+
+    const required = releases.filter(r => r.versionCode >= minSupportedVersion && rolloutOf(r).state !== 'halted');
+
+    latest = newestRelease(required) || latest;
+
+  }
+
+  let status = 'up-to-date';
+
+  if (latest && latest.versionCode > versionCode) {
+
+    status = mandatory ? 'mandatory-update' : 'optional-update';
+
+  }
+
+  return { status, channel, versionCode, minSupportedVersion, latest: status === 'up-to-date' ? null : latest };
+
+};
+
+// Função para limitar os dispositivos novos registrados por origem
+
+const allowNewDevice = (origin) => {
+
+  const now = Date.now();
+
+  if (now - originWindow.startedAt >= ORIGIN_WINDOW) {
+
+    originWindow = { startedAt: now, counts: new Map() };
+
+  }
+
+  const count = originWindow.counts.get(origin) || 0;
+
+  if (count >= DEVICES_PER_ORIGIN) return false;
+
+  originWindow.counts.set(origin, count + 1);
+
+  return true;
+
+};
+
+// Registra a versão informada pelo dispositivo e a versão oferecida a ele;
+
+// a gravação em disco acontece no flushDevices. Dispositivos novos só entram
+
+// enquanto alguma versão do canal estiver em rollout gradual (é o registro
+
+// que mantém a oferta durante a pausa); os já registrados são sempre atualizados.
+
+const recordCheck = (req, registry, client, check) => {
+
+  if (!client.deviceId) return;
+
+  const key = deviceKey(client.deviceId);
+
+  let device = devices[key];
+
+  if (!device) {
+
+    if (!channelView(registry, client.channel).releases.some(inRollout)) return;
+
+    if (!allowNewDevice(req.ip)) return;
+
+    const keys = Object.keys(devices);
+
+    keys.slice(0, Math.max(0, keys.length - MAX_DEVICES + 1)).forEach(oldest => delete devices[oldest]);
+
+    device = { offered: [] };
+
+  }
+
+  device.channel = client.channel;
+
+  device.versionCode = client.versionCode;
+
+  device.seenAt = new Date().toISOString();
+
+  if (check.latest && !device.offered.includes(check.latest.versionCode)) {
+
+    device.offered = [...device.offered, check.latest.versionCode].slice(-MAX_OFFERED_PER_DEVICE);
+
+  }
+
+  // Reinsere a chave para manter os dispositivos em ordem de seenAt: o
+
+  // primeiro é sempre o visto há mais tempo
+
+  delete devices[key];
+
+  devices[key] = device;
+
+  devicesDirty = true;
+
+};
+
+// Função para gravar os dispositivos vistos, descartando os inativos
+
+const flushDevices = async () => {
+
+  if (!devicesDirty) return;
+
+  devicesDirty = false;
+
+  const cutoff = Date.now() - DEVICE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+  Object.keys(devices).forEach(key => {
+
+    if (Date.parse(devices[key].seenAt) < cutoff) delete devices[key];
+
+  });
+
+  try {
+
+    await devicesStore.write(devices);
+
+  } catch (error) {
+
+    devicesDirty = true;
+
+    console.error('Erro ao salvar os dispositivos:', error);
+
+  }
+
+};
+
+// Adoção de cada versão de um canal: dispositivos que receberam a oferta
+
+// (offered) e que já informam estar nela (installed). Versões do stable
+
+// contam também os dispositivos do beta, que as recebem.
+
+const adoptionStats = (registry, channel) => {
+
+  const seen = Object.values(devices).filter(d => channel === 'stable' || d.channel === channel);
+
+  const { minSupportedVersion, releases } = registry.channels[channel];
+
+  return {
+
+    minSupportedVersion,
+
+    devices: seen.filter(d => d.channel === channel).length,
+
+    releases: [...releases].sort((a, b) => b.versionCode - a.versionCode).map(release => ({
+
+      versionCode: release.versionCode,
+
+      versionName: release.versionName,
+
+      rollout: rolloutOf(release),
+
+      adoption: {
+
+        offered: seen.filter(d => d.offered.includes(release.versionCode)).length,
+
+        installed: seen.filter(d => d.versionCode === release.versionCode).length
+
+      }
+
+    }))
+
+  };
+
+};
+
+// Caminho do APK hospedado com o SHA-256 informado
+
+const apkPath = (sha256) => path.join(APK_DIR, `${sha256}.apk`);
+
+// Erro com status HTTP, usado no envio do APK
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Função para gravar o corpo da requisição em disco calculando SHA-256 e
+
+// tamanho durante o envio. Retorna { sha256, size } do arquivo salvo.
+
+const storeUpload = async (req) => {
+
+  await fs.promises.mkdir(APK_DIR, { recursive: true });
+
+  const tmp = path.join(APK_DIR, `.upload-${crypto.randomBytes(6).toString('hex')}`);
+
+  const hash = crypto.createHash('sha256');
+
+  let size = 0;
+
+  let header = Buffer.alloc(0);
+
+  const meter = new Transform({
+
+    transform(chunk, encoding, callback) {
+
+      size += chunk.length;
+
+      if (size > APK_MAX_SIZE) return callback(httpError(413, `APK excede o tamanho máximo de ${APK_MAX_SIZE} bytes`));
+
+      if (header.length < 4) header = Buffer.concat([header, chunk.subarray(0, 4 - header.length)]);
+
+      hash.update(chunk);
+
+      callback(null, chunk);
+
+    }
+
+  });
+
+  try {
+
+    await pipeline(req, meter, fs.createWriteStream(tmp));
+
+    // APK é um arquivo ZIP: começa com "PK\x03\x04"
+
+    if (!size) throw httpError(400, 'Envie o arquivo APK no corpo da requisição');
+
+    if (header.toString('binary') !== 'PK\x03\x04') throw httpError(400, 'O arquivo enviado não é um APK válido');
+
+    const sha256 = hash.digest('hex');
+
+    await fs.promises.rename(tmp, apkPath(sha256));
+
+    return { sha256, size };
+
+  } catch (error) {
+
+    await fs.promises.unlink(tmp).catch(() => {});
+
+    throw error;
+
+  }
+
+};
+
+// Remove os APKs hospedados que nenhuma versão usa e que nenhuma entrada do
+
+// histórico cita (um rollback pode trazer a versão de volta com o arquivo)
+
+const removeUnusedApks = async (shas) => {
+
+  if (!shas.length) return;
+
+  const [registry, history] = await Promise.all([readReleases(), historyStore.read()]);
+
+  const inUse = new Set([
+
+    ...Object.values(registry.channels).flatMap(({ releases }) => releases.filter(r => r.file).map(r => r.file.sha256)),
+
+    ...history.flatMap(entryFiles)
+
+  ]);
+
+  const unused = [...new Set(shas)].filter(sha256 => !inUse.has(sha256));
+
+  await Promise.all(unused.map(sha256 => fs.promises.unlink(apkPath(sha256)).catch(() => {})));
+
+};
+
+// Função para devolver uma versão (kind release) ou a versão mínima de um
+
+// canal (kind channel) ao estado state gravado no histórico; state null
+
+// remove a versão. Retorna os campos da entrada do rollback.
+
+const restoreReleaseState = (registry, target, state) => {
+
+  const channel = registry.channels[target.channel];
+
+  if (target.kind === 'channel') {
+
+    const before = { minSupportedVersion: channel.minSupportedVersion };
+
+    channel.minSupportedVersion = state.minSupportedVersion;
+
+    return { kind: 'channel', channel: target.channel, before, after: { minSupportedVersion: state.minSupportedVersion } };
+
+  }
+
+  const index = channel.releases.findIndex(r => r.versionCode === target.versionCode);
+
+  const current = index === -1 ? null : channel.releases[index];
+
+  if (state && index === -1) {
+
+    channel.releases.push(structuredClone(state));
+
+  } else if (state) {
+
+    channel.releases[index] = structuredClone(state);
+
+  } else if (current) {
+
+    channel.releases.splice(index, 1);
+
+  }
+
+  const replaced = current && current.file && !(state && state.file && state.file.sha256 === current.file.sha256);
+
+  return {
+
+    kind: 'release',
+
+    channel: target.channel,
+
+    versionCode: target.versionCode,
+
+    before: current && structuredClone(current),
+
+    after: state && structuredClone(state),
+
+    unused: replaced ? [current.file.sha256] : []
+
+  };
+
+};
+
+// Versão como enviada ao app: APKs hospedados têm o downloadUrl absoluto
+
+// montado a partir da requisição
+
+const publicRelease = (req, release) => {
+
+  if (!release || !release.file) return release;
+
+  return { ...release, downloadUrl: `${req.protocol}://${req.get('host')}${release.downloadUrl}` };
+
+};
+
+// deviceId enviado pelo app (null se ausente ou vazio)
+
+const parseDeviceId = (query) => (typeof query.deviceId === 'string' && query.deviceId.trim() ? query.deviceId.trim() : null);
+
+// Função para ler versionCode, channel e deviceId enviados pelo app;
+
+// retorna { error } ou { versionCode, channel, deviceId }
+
+const parseClientVersion = (query) => {
+
+  const versionCode = Number(query.versionCode);
+
+  const channel = query.channel || 'stable';
+
+  const deviceId = parseDeviceId(query);
+
+  if (!Number.isInteger(versionCode) || versionCode < 0) return { error: 'versionCode inválido' };
+
+  if (!CHANNELS.includes(channel)) return { error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` };
+
+  if (deviceId && deviceId.length > 200) return { error: 'deviceId inválido' };
+
+  return { versionCode, channel, deviceId };
+
+};
+
+module.exports.manifest = {
+
+  name: 'apk-update',
+
+  version: '1.2.0',
+
+  prefix: '/',
+
+  dependencies: []
+
+};
+
+module.exports.setup = async (app, { auth, storage }) => {
+
+  updateStore = storage.collection('apk-update', null);
+
+  releasesStore = storage.collection('apk-releases', emptyRegistry());
+
+  historyStore = storage.collection('apk-update-history', []);
+
+  devicesStore = storage.collection('apk-devices', {});
+
+  devices = await devicesStore.read();
+
+  devicesDirty = false;
+
+  flushInterval = setInterval(flushDevices, DEVICES_FLUSH_INTERVAL);
+
+  // Rotas de publicação exigem o escopo apk:publish, com a chave no header
+
+  // Authorization (Bearer) ou X-API-Key
+
+  const requirePublisher = auth.require('apk:publish');
+
+  // Rotas públicas identificam a chave quando enviada: quem publica vê também
+
+  // as versões fora do rollout
+
+  const identifyPublisher = auth.optional();
+
+  const isPublisher = (req) => auth.hasScope(req.auth, 'apk:publish');
+
+  if (LEGACY_EDIT_ROUTE) {
+
+    // Só a rota antiga /edit/apk-up ainda aceita a chave em ?session=
+
+    const requireLegacyPublisher = auth.require('apk:publish', { query: 'session' });
+
+    // Rota antiga para atualizar o status (GET com a chave em ?session=, que
+
+    // acaba nos logs de proxies e navegadores). Só para ferramentas que ainda
+
+    // não migraram; use PUT /edit/apk-update.
+
+    // ?percentage=<0-100> limita o aviso a uma parte dos dispositivos (ver legacyResult)
+
+    app.get('/edit/apk-up', requireLegacyPublisher, async (req, res) => {
+
+      try {
+
+        const { newL, up } = req.query;
+
+        res.set('Deprecation', 'true');
+
+        res.set('Link', '</edit/apk-update>; rel="successor-version"');
+
+        const input = {};
+
+        if (up === 'true' || up === 'false') {
+
+          input.result = up;
+
+        }
+
+        if (newL && newL !== '') {
+
+          input.linkUp = newL;
+
+        }
+
+        if (req.query.percentage !== undefined) {
+
+          input.percentage = Number(req.query.percentage);
+
+        }
+
+        // Sem alterações, apenas retorna o status atual
+
+        if (!Object.keys(input).length) {
+
+          const currentData = (await readUpdateData()) || defaultUpdateData();
+
+          return res.json({ status: 'Atualizado', ...updateView(currentData) });
+
+        }
+
+        const { error, changes } = parseUpdateChange(input);
+
+        if (error) {
+
+          return res.status(400).json({ error });
+
+        }
+
+        const entry = await changeUpdateData(req, 'update', current => ({ ...current, ...changes }));
+
+        return res.json({ status: 'Atualizado', ...updateView(entry.after) });
+
+      } catch (error) {
+
+        console.error('Erro no GET /edit/apk-up:', error);
+
+        return res.status(500).json({ error: 'Erro interno no servidor' });
+
+      }
+
+    });
 
   }
 
-  return null;
+  // Rota para consultar o status de atualização e seu rollout
+
+  app.get('/edit/apk-update', requirePublisher, async (req, res) => {
+
+    try {
+
+      const currentData = (await readUpdateData()) || defaultUpdateData();
+
+      return res.json(updateView(currentData));
+
+    } catch (error) {
+
+      console.error('Erro no GET /edit/apk-update:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota para alterar o status de atualização
+
+  // Corpo: { result, linkUp, percentage } (todos opcionais, ao menos um)
+
+  app.put('/edit/apk-update', requirePublisher, async (req, res) => {
+
+    try {
+
+      const { error, changes } = parseUpdateChange(req.body || {});
+
+      if (error) {
+
+        return res.status(400).json({ error });
+
+      }
+
+      const entry = await changeUpdateData(req, 'update', current => ({ ...current, ...changes }));
+
+      return res.json({ status: 'Atualizado', ...updateView(entry.after), historyId: entry.id });
+
+    } catch (error) {
+
+      console.error('Erro no PUT /edit/apk-update:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota para listar o histórico de alterações (status, versões e canais), da
+
+  // mais recente para a mais antiga
+
+  // Exemplo de uso: GET /edit/apk-update/history?limit=20
+
+  app.get('/edit/apk-update/history', requirePublisher, async (req, res) => {
+
+    try {
+
+      const limit = Math.min(parseInt(req.query.limit) || 50, MAX_HISTORY_ENTRIES);
+
+      const history = await historyStore.read();
+
+      return res.json({ history: history.slice(-limit).reverse() });
+
+    } catch (error) {
+
+      console.error('Erro no GET /edit/apk-update/history:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota para voltar a uma configuração anterior
+
+  // Corpo: { id } volta ao estado gravado pela alteração informada; sem id,
+
+  // desfaz a última alteração. Alterações de versões e canais restauram a
+
+  // versão (ou a versão mínima do canal) afetada; as demais, o status.
+
+  app.post('/edit/apk-update/rollback', requirePublisher, async (req, res) => {
+
+    try {
+
+      const { id } = req.body || {};
+
+      const history = await historyStore.read();
+
+      const target = id ? history.find(entry => entry.id === id) : history[history.length - 1];
+
+      if (!target) {
+
+        return res.status(404).json({ error: id ? 'Alteração não encontrada no histórico' : 'Nenhuma alteração para desfazer' });
+
+      }
+
+      if (target.kind === 'release' || target.kind === 'channel') {
+
+        const state = id ? target.after : target.before;
+
+        const { entry } = await changeReleases(req, 'rollback', (registry) => restoreReleaseState(registry, target, state), { rollbackOf: target.id });
+
+        return res.json({
+
+          status: 'Atualizado',
+
+          kind: entry.kind,
+
+          channel: entry.channel,
+
+          ...(entry.kind === 'release' && { versionCode: entry.versionCode, release: entry.after }),
+
+          ...(entry.kind === 'channel' && entry.after),
+
+          historyId: entry.id,
+
+          rollbackOf: target.id
+
+        });
+
+      }
+
+      const restored = id ? target.after : target.before || defaultUpdateData();
+
+      const entry = await changeUpdateData(req, 'rollback', () => ({ ...restored }), { rollbackOf: target.id });
+
+      return res.json({ status: 'Atualizado', ...updateView(entry.after), historyId: entry.id, rollbackOf: target.id });
+
+    } catch (error) {
+
+      console.error('Erro no POST /edit/apk-update/rollback:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota para retornar o status atual (?deviceId= para o rollout do aviso)
+
+  // Com ?versionCode=<n>&channel=<stable|beta>, responde também a verificação de versão
+
+  // (mesmo formato de /apk/check); sem eles, mantém a resposta antiga
+
+  app.get('/edit/apk-stats', async (req, res) => {
+
+    try {
+
+      const currentData = await readUpdateData();
+
+      if (req.query.versionCode !== undefined) {
+
+        const client = parseClientVersion(req.query);
+
+        if (client.error) {
+
+          return res.status(400).json({ error: client.error });
+
+        }
+
+        const registry = await readReleases();
+
+        const check = checkUpdate(registry, client);
+
+        recordCheck(req, registry, client, check);
+
+        return res.json({
+
+          ...check,
+
+          latest: publicRelease(req, check.latest),
+
+          result: legacyResult(currentData, client.deviceId),
+
+          linkUp: currentData ? currentData.linkUp : ''
+
+        });
+
+      }
+
+      // Se ainda não existir, retorna erro
+
+      if (!currentData) {
+
+        return res.status(404).json({ error: 'Arquivo de status não encontrado' });
+
+      }
+
+      const deviceId = typeof req.query.deviceId === 'string' ? req.query.deviceId.trim() : null;
+
+      return res.json({
+
+        result: legacyResult(currentData, deviceId),
+
+        linkUp: currentData.linkUp
+
+      });
+
+    } catch (error) {
+
+      console.error('Erro no GET /edit/apk-stats:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota de verificação de versão para o app
+
+  // Exemplo de uso: GET /apk/check?versionCode=42&channel=beta&deviceId=<id do aparelho>
+
+  app.get('/apk/check', async (req, res) => {
+
+    try {
+
+      const client = parseClientVersion(req.query);
+
+      if (client.error) {
+
+        return res.status(400).json({ error: client.error });
+
+      }
+
+      const registry = await readReleases();
+
+      const check = checkUpdate(registry, client);
+
+      recordCheck(req, registry, client, check);
+
+      return res.json({ ...check, latest: publicRelease(req, check.latest) });
+
+    } catch (error) {
+
+      console.error('Erro no GET /apk/check:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota para listar as versões publicadas (todas ou de um canal), da mais nova para a mais antiga.
 
-};
+  // Sem a chave de publicação, lista só as versões oferecidas ao dispositivo:
 
-// Função para salvar no arquivo .update.json
+  // GET /apk/releases?channel=beta&deviceId=<id do aparelho>
 
-const saveUpdateFile = (data) => {
+  app.get('/apk/releases', identifyPublisher, async (req, res) => {
 
-  const filePath = path.join(__dirname, '.update.json');
+    try {
 
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+      const registry = await readReleases();
 
-};
+      const channels = req.query.channel ? [req.query.channel] : CHANNELS;
+
+      if (!channels.every(channel => CHANNELS.includes(channel))) {
+
+        return res.status(400).json({ error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` });
+
+      }
+
+      const deviceId = parseDeviceId(req.query);
+
+      if (deviceId && deviceId.length > 200) {
+
+        return res.status(400).json({ error: 'deviceId inválido' });
+
+      }
+
+      const all = isPublisher(req);
+
+      const result = {};
+
+      channels.forEach(channel => {
+
+        const { minSupportedVersion, releases } = registry.channels[channel];
+
+        result[channel] = {
+
+          minSupportedVersion,
 
-module.exports.setup = (app) => {
+          releases: releases
 
-  // Rota para atualizar o status
+            .filter(release => all || isOffered(release, deviceId))
 
-  app.get('/edit/apk-up', (req, res) => {
+            .sort((a, b) => b.versionCode - a.versionCode)
 
-    const { session, newL, up } = req.query;
+            .map(release => publicRelease(req, release))
 
-    // Verificar se o session está correto
+        };
 
-    if (session !== 'abten-code-obfuscator-generatorkeyTektekscripts') {
+      });
 
-      return res.status(403).json({ error: 'Session inválido' });
+      return res.json({ channels: result });
+
+    } catch (error) {
+
+      console.error('Erro no GET /apk/releases:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
 
     }
 
-    // Ler dados do arquivo .update.json
+  });
+
+  // Rota para publicar uma versão
+
+  // Corpo: { channel, versionCode, versionName, changelog, releaseDate, downloadUrl, rolloutPercentage }
+
+  app.post('/edit/apk-releases', requirePublisher, async (req, res) => {
+
+    try {
 
-    let currentData = readUpdateFile();
+      const body = req.body || {};
 
-    // Se não existir o arquivo, cria um padrão
+      const error = validateRelease(body);
 
-    if (!currentData) {
+      if (error) {
 
-      currentData = {
+        return res.status(400).json({ error });
 
-        result: 'false',
+      }
 
-        linkUp: ''
+      const release = {
+
+        versionCode: body.versionCode,
+
+        versionName: body.versionName.trim(),
+
+        changelog: body.changelog || '',
+
+        releaseDate: new Date(body.releaseDate || Date.now()).toISOString(),
+
+        downloadUrl: body.downloadUrl,
+
+        publishedAt: new Date().toISOString(),
+
+        rollout: newRollout(body.rolloutPercentage)
 
       };
 
+      const result = await changeReleases(req, 'publish', (registry) => {
+
+        const { releases } = registry.channels[body.channel];
+
+        if (releases.some(r => r.versionCode === release.versionCode)) {
+
+          return { error: `versionCode ${release.versionCode} já publicado no canal ${body.channel}` };
+
+        }
+
+        releases.push(release);
+
+        return { kind: 'release', channel: body.channel, versionCode: release.versionCode, before: null, after: structuredClone(release) };
+
+      });
+
+      if (result.error) {
+
+        return res.status(409).json({ error: result.error });
+
+      }
+
+      return res.status(201).json({ status: 'Publicado', channel: body.channel, release, historyId: result.entry.id });
+
+    } catch (error) {
+
+      console.error('Erro no POST /edit/apk-releases:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
+
+  });
+
+  // Rota para remover uma versão publicada
+
+  app.delete('/edit/apk-releases/:channel/:versionCode', requirePublisher, async (req, res) => {
+
+    try {
+
+      const { channel } = req.params;
+
+      const versionCode = Number(req.params.versionCode);
+
+      if (!CHANNELS.includes(channel)) {
+
+        return res.status(400).json({ error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` });
+
+      }
+
+      // O APK continua hospedado enquanto o histórico citar a versão
+
+      const result = await changeReleases(req, 'remove', (registry) => {
+
+        const { releases } = registry.channels[channel];
+
+        const index = releases.findIndex(r => r.versionCode === versionCode);
+
+        if (index === -1) return { error: 'Versão não encontrada' };
+
+        const removed = releases.splice(index, 1)[0];
+
+        return { kind: 'release', channel, versionCode, before: structuredClone(removed), after: null, unused: removed.file ? [removed.file.sha256] : [] };
+
+      });
+
+      if (result.error) {
+
+        return res.status(404).json({ error: result.error });
+
+      }
+
+      return res.json({ status: 'Removido', channel, release: result.entry.before, historyId: result.entry.id });
+
+    } catch (error) {
+
+      console.error('Erro no DELETE /edit/apk-releases/:channel/:versionCode:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
     }
 
-    // Atualizar status
+  });
+
+  // Rota para definir a versão mínima suportada de um canal (null remove)
+
+  // Corpo: { minSupportedVersion }
+
+  app.put('/edit/apk-channels/:channel', requirePublisher, async (req, res) => {
+
+    try {
+
+      const { channel } = req.params;
+
+      const { minSupportedVersion } = req.body || {};
 
-    if (up === 'true' || up === 'false') {
+      if (!CHANNELS.includes(channel)) {
 
-      currentData.result = up;
+        return res.status(400).json({ error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` });
+
+      }
+
+      if (minSupportedVersion !== null && (!Number.isInteger(minSupportedVersion) || minSupportedVersion < 1)) {
+
+        return res.status(400).json({ error: 'minSupportedVersion deve ser um inteiro positivo ou null' });
+
+      }
+
+      const { entry } = await changeReleases(req, 'channel', (registry) => {
+
+        const before = { minSupportedVersion: registry.channels[channel].minSupportedVersion };
+
+        registry.channels[channel].minSupportedVersion = minSupportedVersion;
+
+        return { kind: 'channel', channel, before, after: { minSupportedVersion } };
+
+      });
+
+      return res.json({ status: 'Atualizado', channel, minSupportedVersion, historyId: entry.id });
+
+    } catch (error) {
+
+      console.error('Erro no PUT /edit/apk-channels/:channel:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
 
     }
 
-    // Atualizar link, se fornecido
+  });
+
+  // Rota para acompanhar os rollouts: estado e adoção de cada versão
+
+  app.get('/edit/apk-rollout', requirePublisher, async (req, res) => {
 
-    if (newL && newL !== '') {
+    try {
 
-      currentData.linkUp = newL;
+      const registry = await readReleases();
+
+      const channels = req.query.channel ? [req.query.channel] : CHANNELS;
+
+      if (!channels.every(channel => CHANNELS.includes(channel))) {
+
+        return res.status(400).json({ error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` });
+
+      }
+
+      const result = {};
+
+      channels.forEach(channel => {
+
+        result[channel] = adoptionStats(registry, channel);
+
+      });
+
+      return res.json({ channels: result });
+
+    } catch (error) {
+
+      console.error('Erro no GET /edit/apk-rollout:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
 
     }
 
-    // Salvar as mudanças no arquivo .update.json
+  });
+
+  // Rota para alterar o rollout de uma versão
+
+  // Corpo: { percentage, state } (state: active, paused ou halted; ambos opcionais)
+
+  // Exemplo: { "percentage": 25 } amplia para 25%; { "state": "halted" } suspende a oferta
+
+  app.put('/edit/apk-rollout/:channel/:versionCode', requirePublisher, async (req, res) => {
+
+    try {
+
+      const { channel } = req.params;
+
+      const versionCode = Number(req.params.versionCode);
+
+      const { percentage, state } = req.body || {};
+
+      if (!CHANNELS.includes(channel)) {
+
+        return res.status(400).json({ error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` });
+
+      }
+
+      if (percentage === undefined && state === undefined) {
+
+        return res.status(400).json({ error: 'Informe percentage e/ou state' });
+
+      }
+
+      if (percentage !== undefined && !isValidPercentage(percentage)) {
+
+        return res.status(400).json({ error: 'percentage deve ser um número de 0 a 100' });
+
+      }
+
+      if (state !== undefined && !ROLLOUT_STATES.includes(state)) {
+
+        return res.status(400).json({ error: `Estado inválido. Utilize: ${ROLLOUT_STATES.join(', ')}` });
 
-    saveUpdateFile(currentData);
+      }
 
-    return res.json({ status: 'Atualizado', result: currentData.result, linkUp: currentData.linkUp });
+      const result = await changeReleases(req, 'rollout', (registry) => {
+
+        const release = registry.channels[channel].releases.find(r => r.versionCode === versionCode);
+
+        if (!release) return { error: 'Versão não encontrada' };
+
+        const before = structuredClone(release);
+
+        release.rollout = {
+
+          ...rolloutOf(release),
+
+          ...(percentage !== undefined && { percentage }),
+
+          ...(state !== undefined && { state }),
+
+          updatedAt: new Date().toISOString()
+
+        };
+
+        return { kind: 'release', channel, versionCode, before, after: structuredClone(release) };
+
+      });
+
+      if (result.error) {
+
+        return res.status(404).json({ error: result.error });
+
+      }
+
+      return res.json({ status: 'Atualizado', channel, versionCode, rollout: result.entry.after.rollout, historyId: result.entry.id });
+
+    } catch (error) {
+
+      console.error('Erro no PUT /edit/apk-rollout/:channel/:versionCode:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
 
   });
 
-  // Rota para retornar o status atual
+  // Rota para enviar o APK de uma versão ao servidor (corpo binário)
+
+  // Se a versão ainda não existir no canal, é criada com ?versionName=&changelog=&releaseDate=&rolloutPercentage=
+
+  // Exemplo de uso: curl -X PUT --data-binary @app.apk -H "Authorization: Bearer <chave>" \
+
+  //   "https://host/edit/apk-files/stable/42?versionName=1.4.2"
+
+  app.put('/edit/apk-files/:channel/:versionCode', requirePublisher, async (req, res) => {
+
+    try {
+
+      const { channel } = req.params;
+
+      const versionCode = Number(req.params.versionCode);
+
+      const { versionName, changelog, releaseDate } = req.query;
+
+      const rolloutPercentage = req.query.rolloutPercentage !== undefined ? Number(req.query.rolloutPercentage) : undefined;
+
+      if (!CHANNELS.includes(channel)) {
+
+        return res.status(400).json({ error: `Canal inválido. Utilize: ${CHANNELS.join(', ')}` });
+
+      }
+
+      if (!Number.isInteger(versionCode) || versionCode < 1) {
+
+        return res.status(400).json({ error: 'versionCode deve ser um inteiro positivo' });
+
+      }
+
+      if (parseInt(req.get('content-length')) > APK_MAX_SIZE) {
+
+        return res.status(413).json({ error: `APK excede o tamanho máximo de ${APK_MAX_SIZE} bytes` });
+
+      }
+
+      // Só é usado se a versão não existir no canal; a consulta é feita
+
+      // dentro de updateReleases, para não concorrer com uma remoção
+
+      const creationError = validateRelease({ channel, versionCode, versionName, changelog, releaseDate, rolloutPercentage, downloadUrl: 'https://localhost/' });
+
+      let upload;
+
+      try {
+
+        upload = await storeUpload(req);
+
+      } catch (error) {
+
+        if (error.status) {
+
+          return res.status(error.status).json({ error: error.message });
+
+        }
+
+        console.error('Erro ao salvar o APK enviado:', error);
+
+        return res.status(500).json({ error: 'Erro ao salvar o APK' });
+
+      }
+
+      const file = {
+
+        sha256: upload.sha256,
+
+        size: upload.size,
+
+        fileName: `${channel}-${versionCode}.apk`,
+
+        uploadedAt: new Date().toISOString()
+
+      };
+
+      const result = await changeReleases(req, 'upload', (current) => {
+
+        const { releases } = current.channels[channel];
+
+        let found = releases.find(r => r.versionCode === versionCode);
+
+        const before = found ? structuredClone(found) : null;
+
+        if (!found) {
+
+          if (creationError) return { error: creationError };
 
-  app.get('/edit/apk-stats', (req, res) => {
+          found = {
 
-    const currentData = readUpdateFile();
+            versionCode,
 
-    // Se não existir o arquivo, retorna erro
+            versionName: versionName.trim(),
 
-    if (!currentData) {
+            changelog: changelog || '',
 
-      return res.status(404).json({ error: 'Arquivo de status não encontrado' });
+            releaseDate: new Date(releaseDate || Date.now()).toISOString(),
+
+            publishedAt: new Date().toISOString(),
+
+            rollout: newRollout(rolloutPercentage)
+
+          };
+
+          releases.push(found);
+
+        }
+
+        const replaced = found.file && found.file.sha256 !== file.sha256 ? found.file.sha256 : null;
+
+        found.file = file;
+
+        found.downloadUrl = `/apk/download/${channel}/${versionCode}`;
+
+        return { kind: 'release', channel, versionCode, before, after: structuredClone(found), unused: replaced ? [replaced] : [] };
+
+      });
+
+      if (result.error) {
+
+        await removeUnusedApks([file.sha256]);
+
+        return res.status(400).json({ error: `Versão ${versionCode} não existe no canal ${channel}: ${result.error}` });
+
+      }
+
+      return res.status(201).json({ status: 'Enviado', channel, release: publicRelease(req, result.entry.after), historyId: result.entry.id });
+
+    } catch (error) {
+
+      console.error('Erro no PUT /edit/apk-files/:channel/:versionCode:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
 
     }
 
-    return res.json({
+  });
 
-      result: currentData.result,
+  // Rota de download do APK hospedado. Aceita Range (download retomável) e
 
-      linkUp: currentData.linkUp
+  // If-None-Match; o ETag é o SHA-256 do arquivo, também enviado em X-Checksum-SHA256.
 
-    });
+  // Versões suspensas (halted) só são baixadas com a chave de publicação.
+
+  app.get('/apk/download/:channel/:versionCode', identifyPublisher, async (req, res, next) => {
+
+    try {
+
+      const { channel } = req.params;
+
+      if (!CHANNELS.includes(channel)) {
+
+        return res.status(404).json({ error: 'Versão não encontrada' });
+
+      }
+
+      const registry = await readReleases();
+
+      const release = registry.channels[channel].releases.find(r => r.versionCode === Number(req.params.versionCode));
+
+      if (!release || !release.file || (rolloutOf(release).state === 'halted' && !isPublisher(req))) {
+
+        return res.status(404).json({ error: 'Versão não encontrada ou sem APK hospedado' });
+
+      }
+
+      const { sha256, fileName } = release.file;
+
+      res.set('ETag', `"${sha256}"`);
+
+      res.set('X-Checksum-SHA256', sha256);
+
+      // O mesmo versionCode pode receber outro APK: o cliente revalida pelo ETag
+
+      res.set('Cache-Control', 'no-cache');
+
+      res.sendFile(apkPath(sha256), {
+
+        etag: false,
+
+        headers: {
+
+          'Content-Type': 'application/vnd.android.package-archive',
+
+          'Content-Disposition': `attachment; filename="${fileName}"`
+
+        }
+
+      }, (error) => {
+
+        if (!error || res.headersSent) return;
+
+        if (error.code === 'ENOENT') {
+
+          res.removeHeader('ETag');
+
+          return res.status(410).json({ error: 'Arquivo do APK não está mais disponível' });
+
+        }
+
+        next(error);
+
+      });
+
+    } catch (error) {
+
+      console.error('Erro no GET /apk/download/:channel/:versionCode:', error);
+
+      return res.status(500).json({ error: 'Erro interno no servidor' });
+
+    }
 
   });
 
 };
+
+// Grava os dispositivos vistos antes de descarregar o módulo
+
+module.exports.shutdown = async () => {
+
+  clearInterval(flushInterval);
+
+  flushInterval = null;
+
+  await flushDevices();
+
+};
+
+// Funções internas expostas para os testes (test/)
+
+module.exports._internals = { rolloutBucket, isOffered, checkUpdate, newRollout };
@@ -1,51 +1,63 @@
 const express = require('express');
-const fs = require('fs').promises; // Uso de promises diretamente
-const path = require('path');
 const cors = require('cors');
+const auth = require('./lib/auth');
+const { createStorage } = require('./lib/storage');
+const authAdmin = require('./lib/authAdmin');
+const { loadModules, shutdownModules } = require('./lib/moduleLoader');
+const moduleAdmin = require('./lib/moduleAdmin');
 
 const app = express();
 
-app.use(express.json());
-app.use(cors());
+// Tempo máximo para os módulos encerrarem antes de forçar a saída
+const SHUTDOWN_TIMEOUT = 10000;
 
-async function loadModules(app) {
-  const modulesDir = path.resolve(__dirname, 'modules');
-
-  try {
-    console.time('Carregamento dos módulos');
-    const files = await fs.readdir(modulesDir);
-
-    // Filtrar apenas arquivos .js antes de carregar
-    const moduleFiles = files.filter(file => file.endsWith('.js'));
-
-    // Carregar todos os módulos de forma assíncrona
-    await Promise.all(moduleFiles.map(async (file) => {
-      try {
-        const modPath = path.join(modulesDir, file);
-        const mod = require(modPath);
-
-        if (typeof mod.setup === 'function') {
-          mod.setup(app);
-          console.log(`Módulo ${file} carregado.`);
-        }
-      } catch (error) {
-        console.error(`Erro ao carregar o módulo ${file}:`, error);
-      }
-    }));
-
-    console.timeEnd('Carregamento dos módulos');
-  } catch (error) {
-    console.error('Erro ao ler diretório de módulos:', error);
-  }
+// Atrás de proxy reverso, req.ip deve vir do X-Forwarded-For (ex.: TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 }
 
+// Limite do corpo JSON; scripts Lua enviados podem passar dos 100kb padrão
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
+app.use(cors());
+
 app.get('/status', (req, res) => {
   res.json({ result: 'server on' });
 });
 
-loadModules(app).then(() => {
+authAdmin.setup(app);
+moduleAdmin.setup(app);
+
+async function start() {
+  const storage = createStorage();
+  await auth.init(storage);
+  await loadModules(app, { auth, storage });
+
   const PORT = process.env.PORT || 4000;
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`Servidor rodando na porta ${PORT}`);
   });
+
+  let shuttingDown = false;
+  async function gracefulShutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} recebido, encerrando o servidor...`);
+
+    // Garante a saída mesmo que algum módulo trave no encerramento
+    setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT).unref();
+
+    // Para de aceitar conexões e deixa os módulos gravarem o que está pendente
+    server.close();
+    await shutdownModules();
+    await storage.close();
+    process.exit(0);
+  }
+
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+}
+
+start().catch(error => {
+  console.error('Erro ao iniciar o servidor:', error);
+  process.exit(1);
 });
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+// Diretórios lidos ao carregar os módulos
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apk-routes-test-'));
+process.env.DATA_DIR = dir;
+process.env.APK_STORAGE_DIR = path.join(dir, 'apks');
+process.env.AUTH_BOOTSTRAP_KEY = 'tk_publicador';
+const auth = require('../lib/auth');
+const upApk = require('../modules/upApk');
+const { rolloutBucket } = upApk._internals;
+
+// Armazenamento em memória com a mesma interface de storage.collection
+const memoryStorage = () => {
+  const data = new Map();
+  const locks = new Map();
+  return {
+    collection: (name, fallback) => {
+      const read = async () => (data.has(name) ? structuredClone(data.get(name)) : structuredClone(fallback));
+      const write = async value => { data.set(name, structuredClone(value)); };
+      return {
+        read,
+        write,
+        update: fn => {
+          const run = (locks.get(name) || Promise.resolve()).then(async () => {
+            const value = await read();
+            const result = await fn(value);
+            await write(value);
+            return result;
+          });
+          locks.set(name, run.catch(() => {}));
+          return run;
+        }
+      };
+    }
+  };
+};
+
+let server;
+let base;
+
+test.before(async () => {
+  const storage = memoryStorage();
+  const quiet = [console.log, console.warn];
+  console.log = console.warn = () => {};
+  try {
+    await auth.init(storage);
+  } finally {
+    [console.log, console.warn] = quiet;
+  }
+  const app = express();
+  app.use(express.json());
+  await upApk.setup(app, { auth, storage });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await upApk.shutdown();
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const request = async (method, url, { body, key, raw } = {}) => {
+  const headers = {};
+  if (key) headers['X-API-Key'] = key;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const response = await fetch(base + url, { method, headers, body: raw || (body !== undefined ? JSON.stringify(body) : undefined) });
+  const type = response.headers.get('content-type') || '';
+  return { status: response.status, body: type.includes('json') ? await response.json() : null };
+};
+const publisher = 'tk_publicador';
+const publish = (versionCode, rolloutPercentage) => request('POST', '/edit/apk-releases', {
+  key: publisher,
+  body: { channel: 'stable', versionCode, versionName: `1.0.${versionCode}`, downloadUrl: `https://cdn.example/${versionCode}.apk`, rolloutPercentage }
+});
+const listed = async (query = '', key) => {
+  const { status, body } = await request('GET', `/apk/releases?channel=stable${query}`, { key });
+  assert.strictEqual(status, 200);
+  return body.channels.stable.releases.map(release => release.versionCode);
+};
+
+test('a lista pública mostra só as versões oferecidas ao dispositivo', async () => {
+  assert.strictEqual((await publish(10)).status, 201);
+  assert.strictEqual((await publish(11, 50)).status, 201);
+  assert.strictEqual((await publish(12)).status, 201);
+  assert.strictEqual((await request('PUT', '/edit/apk-rollout/stable/12', { key: publisher, body: { state: 'halted' } })).status, 200);
+
+  const inside = Array.from({ length: 100 }, (_, i) => `aparelho-${i}`).find(id => rolloutBucket(id, 11) < 50);
+  const outside = Array.from({ length: 100 }, (_, i) => `aparelho-${i}`).find(id => rolloutBucket(id, 11) >= 50);
+
+  assert.deepStrictEqual(await listed(), [10]);
+  assert.deepStrictEqual(await listed(`&deviceId=${inside}`), [11, 10]);
+  assert.deepStrictEqual(await listed(`&deviceId=${outside}`), [10]);
+  assert.deepStrictEqual(await listed('', publisher), [12, 11, 10]);
+  assert.strictEqual((await request('GET', '/apk/releases', { key: 'tk_invalida' })).status, 401);
+});
+
+test('APK de versão suspensa só é baixado com a chave de publicação', async () => {
+  const apk = Buffer.concat([Buffer.from('PK\x03\x04', 'binary'), Buffer.alloc(64, 1)]);
+  const upload = await request('PUT', '/edit/apk-files/stable/20?versionName=2.0.0', { key: publisher, raw: apk });
+  assert.strictEqual(upload.status, 201);
+  assert.strictEqual((await request('GET', '/apk/download/stable/20')).status, 200);
+
+  await request('PUT', '/edit/apk-rollout/stable/20', { key: publisher, body: { state: 'halted' } });
+  assert.strictEqual((await request('GET', '/apk/download/stable/20')).status, 404);
+  assert.strictEqual((await request('GET', '/apk/download/stable/20', { key: publisher })).status, 200);
+});
+
+const rolloutOf = async (versionCode) => {
+  const { body } = await request('GET', '/apk/releases?channel=stable', { key: publisher });
+  const release = body.channels.stable.releases.find(r => r.versionCode === versionCode);
+  return release && release.rollout;
+};
+
+test('alterações de rollout entram no histórico e podem ser desfeitas', async () => {
+  assert.strictEqual((await publish(30, 10)).status, 201);
+  const change = await request('PUT', '/edit/apk-rollout/stable/30', { key: publisher, body: { percentage: 50 } });
+  assert.strictEqual(change.status, 200);
+  assert.strictEqual((await rolloutOf(30)).percentage, 50);
+
+  const { body: { history } } = await request('GET', '/edit/apk-update/history?limit=1', { key: publisher });
+  assert.strictEqual(history[0].id, change.body.historyId);
+  assert.strictEqual(history[0].kind, 'release');
+  assert.strictEqual(history[0].action, 'rollout');
+  assert.strictEqual(history[0].actor.name, 'root');
+  assert.deepStrictEqual([history[0].before.rollout.percentage, history[0].after.rollout.percentage], [10, 50]);
+
+  const rollback = await request('POST', '/edit/apk-update/rollback', { key: publisher, body: {} });
+  assert.strictEqual(rollback.status, 200);
+  assert.strictEqual(rollback.body.rollbackOf, change.body.historyId);
+  assert.strictEqual((await rolloutOf(30)).percentage, 10);
+
+  // Voltar ao estado gravado pela alteração (id) reaplica os 50%
+  await request('POST', '/edit/apk-update/rollback', { key: publisher, body: { id: change.body.historyId } });
+  assert.strictEqual((await rolloutOf(30)).percentage, 50);
+});
+
+test('versão mínima do canal pode ser desfeita', async () => {
+  await request('PUT', '/edit/apk-channels/stable', { key: publisher, body: { minSupportedVersion: 10 } });
+  const change = await request('PUT', '/edit/apk-channels/stable', { key: publisher, body: { minSupportedVersion: 30 } });
+  const rollback = await request('POST', '/edit/apk-update/rollback', { key: publisher, body: {} });
+  assert.strictEqual(rollback.body.rollbackOf, change.body.historyId);
+  assert.strictEqual(rollback.body.minSupportedVersion, 10);
+  const { body } = await request('GET', '/apk/releases?channel=stable', { key: publisher });
+  assert.strictEqual(body.channels.stable.minSupportedVersion, 10);
+});
+
+test('versão removida volta com o rollback, com o APK ainda hospedado', async () => {
+  const apk = Buffer.concat([Buffer.from('PK\x03\x04', 'binary'), Buffer.alloc(64, 2)]);
+  await request('PUT', '/edit/apk-files/stable/40?versionName=4.0.0', { key: publisher, raw: apk });
+  const removal = await request('DELETE', '/edit/apk-releases/stable/40', { key: publisher });
+  assert.strictEqual(removal.status, 200);
+  assert.strictEqual((await request('GET', '/apk/download/stable/40')).status, 404);
+
+  const rollback = await request('POST', '/edit/apk-update/rollback', { key: publisher, body: { id: undefined } });
+  assert.strictEqual(rollback.body.rollbackOf, removal.body.historyId);
+  assert.strictEqual(rollback.body.release.versionCode, 40);
+  assert.strictEqual((await request('GET', '/apk/download/stable/40')).status, 200);
+});
+
+test('status de atualização continua com o rollback próprio', async () => {
+  await request('PUT', '/edit/apk-update', { key: publisher, body: { result: true, linkUp: 'https://cdn.example/a.apk' } });
+  const change = await request('PUT', '/edit/apk-update', { key: publisher, body: { linkUp: 'https://cdn.example/b.apk' } });
+  const rollback = await request('POST', '/edit/apk-update/rollback', { key: publisher, body: {} });
+  assert.strictEqual(rollback.body.rollbackOf, change.body.historyId);
+  assert.strictEqual(rollback.body.linkUp, 'https://cdn.example/a.apk');
+});
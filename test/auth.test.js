@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// O caminho do arquivo da chave inicial é lido ao carregar lib/auth
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.AUTH_ROOT_KEY_FILE = path.join(dir, 'root-key.txt');
+const auth = require('../lib/auth');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const LEGACY_ENV = ['AUTH_BOOTSTRAP_KEY', 'AUTH_LEGACY_BYPASS_KEY', 'AUTH_LEGACY_BYPASS_ADMIN_KEY', 'AUTH_LEGACY_APK_KEY'];
+
+// Armazenamento em memória com a mesma interface de storage.collection
+const memoryStorage = () => {
+  const data = new Map();
+  return {
+    data,
+    collection: (name, fallback) => ({
+      read: async () => (data.has(name) ? structuredClone(data.get(name)) : fallback),
+      write: async value => { data.set(name, structuredClone(value)); }
+    })
+  };
+};
+
+// Inicializa com as variáveis informadas e devolve as mensagens do console
+const init = async (t, storage, env = {}) => {
+  LEGACY_ENV.forEach(name => { delete process.env[name]; });
+  Object.assign(process.env, env);
+  t.after(() => LEGACY_ENV.forEach(name => { delete process.env[name]; }));
+  const log = t.mock.method(console, 'log', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  await auth.init(storage);
+  const messages = mock => mock.mock.calls.map(call => call.arguments.join(' '));
+  return { log: messages(log), warn: messages(warn) };
+};
+
+test('a chave inicial gerada vai para um arquivo 0600, não para o console', async t => {
+  const { log } = await init(t, memoryStorage());
+  const secret = fs.readFileSync(process.env.AUTH_ROOT_KEY_FILE, 'utf-8').trim();
+  assert.ok(secret.startsWith('tk_'));
+  assert.strictEqual(fs.statSync(process.env.AUTH_ROOT_KEY_FILE).mode & 0o777, 0o600);
+  assert.ok(log.every(message => !message.includes(secret)));
+  assert.strictEqual(auth.verify(secret).name, 'root');
+  assert.ok(auth.hasScope(auth.verify(secret), 'keys:admin'));
+});
+
+test('AUTH_BOOTSTRAP_KEY define a chave inicial sem gravar arquivo', async t => {
+  fs.rmSync(process.env.AUTH_ROOT_KEY_FILE, { force: true });
+  await init(t, memoryStorage(), { AUTH_BOOTSTRAP_KEY: 'tk_raiz' });
+  assert.strictEqual(auth.verify('tk_raiz').role, 'admin');
+  assert.strictEqual(fs.existsSync(process.env.AUTH_ROOT_KEY_FILE), false);
+});
+
+test('sem chave legada configurada a inicialização avisa', async t => {
+  const { warn } = await init(t, memoryStorage(), { AUTH_BOOTSTRAP_KEY: 'tk_raiz' });
+  assert.strictEqual(warn.length, 1);
+  assert.match(warn[0], /Nenhuma chave legada/);
+});
+
+test('chaves legadas são importadas também depois da primeira inicialização', async t => {
+  const storage = memoryStorage();
+  await init(t, storage, { AUTH_BOOTSTRAP_KEY: 'tk_raiz' });
+  assert.strictEqual(auth.verify('legado-123'), null);
+
+  const { log, warn } = await init(t, storage, { AUTH_LEGACY_APK_KEY: 'legado-123' });
+  assert.deepStrictEqual(warn, []);
+  assert.match(log[0], /legado-apk/);
+  const key = auth.verify('legado-123');
+  assert.ok(auth.hasScope(key, 'apk:publish'));
+  assert.strictEqual(storage.data.get('auth-keys').filter(k => k.name === 'legado-apk').length, 1);
+
+  // Reinicializar com o mesmo valor não duplica a chave
+  await init(t, storage, { AUTH_LEGACY_APK_KEY: 'legado-123' });
+  assert.strictEqual(storage.data.get('auth-keys').filter(k => k.name === 'legado-apk').length, 1);
+});
+
+test('trocar a variável atualiza a chave legada mantendo o id', async t => {
+  const storage = memoryStorage();
+  await init(t, storage, { AUTH_BOOTSTRAP_KEY: 'tk_raiz', AUTH_LEGACY_BYPASS_KEY: 'antiga' });
+  const { id } = auth.verify('antiga');
+  await init(t, storage, { AUTH_LEGACY_BYPASS_KEY: 'nova' });
+  assert.strictEqual(auth.verify('antiga'), null);
+  assert.strictEqual(auth.verify('nova').id, id);
+  assert.ok(auth.verify('nova').rotatedAt);
+});
+
+test('chave legada revogada não volta com a variável ainda definida', async t => {
+  const storage = memoryStorage();
+  await init(t, storage, { AUTH_BOOTSTRAP_KEY: 'tk_raiz', AUTH_LEGACY_BYPASS_ADMIN_KEY: 'admin-antiga' });
+  await auth.revoke(auth.verify('admin-antiga').id);
+  const { warn } = await init(t, storage, { AUTH_LEGACY_BYPASS_ADMIN_KEY: 'admin-antiga' });
+  assert.strictEqual(auth.verify('admin-antiga'), null);
+  assert.match(warn[0], /revogada/);
+});
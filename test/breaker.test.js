@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Sem URL configurada o prober usa a última URL resolvida com sucesso
+delete process.env.BYPASS_PROBE_URL;
+const { ApiPerformanceTracker, HealthProber, ProviderRegistry, BypassService } = require('../modules/bypass')._internals;
+
+const provider = { id: 'p1', url: 'https://provedor.example/?u={url}', enabled: true, valid: true };
+
+// Abre o breaker com falhas seguidas e vence o cooldown
+const openBreaker = (t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  ApiPerformanceTracker.reset(provider.id);
+  for (let i = 0; i < 5; i++) ApiPerformanceTracker.record(provider, 100, false);
+  const stat = ApiPerformanceTracker.stats[provider.id];
+  assert.strictEqual(stat.state, 'open');
+  stat.nextAttemptAt = Date.now() - 1;
+  return stat;
+};
+
+test('open -> probe com sucesso -> half-open -> closed', async (t) => {
+  const stat = openBreaker(t);
+  HealthProber.lastUrl = 'https://link.example/abc';
+  t.mock.method(ProviderRegistry, 'list', async () => [provider]);
+  const call = t.mock.method(BypassService, '_callProvider', async () => 'ok');
+
+  // Com URL para o prober, requisições reais não tiram o provedor do open
+  assert.strictEqual(ApiPerformanceTracker.allow(provider), false);
+
+  await HealthProber.run();
+  assert.strictEqual(call.mock.callCount(), 1);
+  assert.strictEqual(call.mock.calls[0].arguments[0], 'https://link.example/abc');
+  assert.strictEqual(stat.state, 'half-open');
+  assert.strictEqual(stat.lastProbe.ok, true);
+
+  // Half-open aceita uma requisição por vez; o sucesso fecha o breaker
+  assert.strictEqual(ApiPerformanceTracker.allow(provider), true);
+  assert.strictEqual(ApiPerformanceTracker.allow(provider), false);
+  ApiPerformanceTracker.record(provider, 80, true);
+  assert.strictEqual(stat.state, 'closed');
+});
+
+test('probe com falha mantém o breaker aberto com o cooldown dobrado', async (t) => {
+  const stat = openBreaker(t);
+  const cooldown = stat.cooldown;
+  HealthProber.lastUrl = 'https://link.example/abc';
+  t.mock.method(ProviderRegistry, 'list', async () => [provider]);
+  t.mock.method(BypassService, '_callProvider', async () => { throw new Error('fora do ar'); });
+
+  await HealthProber.run();
+  assert.strictEqual(stat.state, 'open');
+  assert.strictEqual(stat.cooldown, cooldown * 2);
+  assert.strictEqual(stat.lastProbe.error, 'fora do ar');
+});
+
+test('sem URL para o prober o provedor volta após o cooldown', async (t) => {
+  const stat = openBreaker(t);
+  HealthProber.lastUrl = null;
+  const call = t.mock.method(BypassService, '_callProvider', async () => 'ok');
+
+  await HealthProber.run();
+  assert.strictEqual(call.mock.callCount(), 0);
+  assert.strictEqual(ApiPerformanceTracker.allow(provider), true);
+  assert.strictEqual(stat.state, 'half-open');
+});
+
+test('uma resposta válida passa a ser a URL do prober', async (t) => {
+  ApiPerformanceTracker.reset(provider.id);
+  HealthProber.lastUrl = null;
+  t.mock.method(BypassService, '_callProvider', async () => 'ok');
+  await BypassService._tryApiWithRetry('https://link.example/nova', provider, 1, new AbortController());
+  assert.strictEqual(HealthProber.url(), 'https://link.example/nova');
+});
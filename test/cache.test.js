@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Limites do cache são lidos ao carregar o módulo; sem gravação em bypass-urls
+process.env.BYPASS_CACHE_MAX_ENTRIES = '3';
+process.env.BYPASS_CACHE_PERSIST = 'false';
+const { ResultCache } = require('../modules/bypass')._internals;
+
+const reset = () => {
+  ResultCache.entries.clear();
+  ResultCache.inflight.clear();
+  Object.keys(ResultCache.stats).forEach(key => { ResultCache.stats[key] = 0; });
+};
+const load = value => async () => value;
+
+test('resultado novo fica em cache até vencer o TTL', async () => {
+  reset();
+  assert.deepStrictEqual(await ResultCache.resolve('a', load('r1')), { result: 'r1', source: 'fresh' });
+  assert.deepStrictEqual(await ResultCache.resolve('a', load('r2')), { result: 'r1', source: 'cache' });
+
+  ResultCache.entries.get('a').expiresAt = Date.now() - 1;
+  assert.deepStrictEqual(await ResultCache.resolve('a', load('r2')), { result: 'r2', source: 'fresh' });
+  assert.strictEqual(ResultCache.stats.hits, 1);
+  assert.strictEqual(ResultCache.stats.misses, 2);
+});
+
+test('LRU: a entrada usada há mais tempo sai primeiro', async () => {
+  reset();
+  for (const url of ['a', 'b', 'c']) await ResultCache.resolve(url, load(url));
+  // Usar "a" a torna a mais recente; "b" passa a ser a mais antiga
+  await ResultCache.resolve('a', load('x'));
+  await ResultCache.resolve('d', load('d'));
+  assert.deepStrictEqual([...ResultCache.entries.keys()], ['c', 'a', 'd']);
+  assert.strictEqual(ResultCache.stats.evictions, 1);
+});
+
+test('cache negativo: a falha é repetida sem consultar os provedores', async () => {
+  reset();
+  const failing = async () => { throw Object.assign(new Error('Nenhuma API conseguiu processar a URL'), { negativeCache: true }); };
+  await assert.rejects(ResultCache.resolve('a', failing), /Nenhuma API/);
+  let calls = 0;
+  await assert.rejects(ResultCache.resolve('a', async () => { calls++; return 'ok'; }), /Nenhuma API/);
+  assert.strictEqual(calls, 0);
+  assert.strictEqual(ResultCache.stats.negativeHits, 1);
+  // Falhas não entram na URL usada pelo prober nem no snapshot sem falhas
+  assert.strictEqual(ResultCache.latestUrl(), null);
+  assert.deepStrictEqual(ResultCache.snapshot({ includeFailures: false }), {});
+
+  ResultCache.entries.get('a').expiresAt = Date.now() - 1;
+  assert.deepStrictEqual(await ResultCache.resolve('a', load('ok')), { result: 'ok', source: 'fresh' });
+});
+
+test('erros sem negativeCache não ficam em cache', async () => {
+  reset();
+  await assert.rejects(ResultCache.resolve('a', async () => { throw new Error('nenhuma API configurada'); }));
+  assert.strictEqual(ResultCache.entries.size, 0);
+});
+
+test('single-flight: chamadas simultâneas compartilham a consulta', async () => {
+  reset();
+  let calls = 0;
+  let finish;
+  const loader = () => {
+    calls++;
+    return new Promise(resolve => { finish = resolve; });
+  };
+  const first = ResultCache.resolve('a', loader);
+  const second = ResultCache.resolve('a', loader);
+  assert.strictEqual(ResultCache.info().inflight, 1);
+  finish('r1');
+  assert.deepStrictEqual(await first, { result: 'r1', source: 'fresh' });
+  assert.deepStrictEqual(await second, { result: 'r1', source: 'coalesced' });
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(ResultCache.inflight.size, 0);
+  assert.strictEqual(ResultCache.stats.coalesced, 1);
+});
+
+test('clear, prune e info', async () => {
+  reset();
+  await ResultCache.resolve('a', load('a'));
+  await ResultCache.resolve('b', load('b'));
+  assert.strictEqual(ResultCache.latestUrl(), 'b');
+  ResultCache.entries.get('b').expiresAt = Date.now() - 1;
+  ResultCache.prune();
+  assert.deepStrictEqual([...ResultCache.entries.keys()], ['a']);
+  assert.strictEqual(ResultCache.clear('x'), 0);
+  assert.strictEqual(ResultCache.clear(), 1);
+  const info = ResultCache.info();
+  assert.strictEqual(info.size, 0);
+  assert.strictEqual(info.maxEntries, 3);
+  assert.strictEqual(info.hitRatio, 0);
+});
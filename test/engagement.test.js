@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EngagementService, OwnershipService } = require('../modules/scripts')._internals;
+
+// Requisição anônima (sem chave nem token de dono) vinda do IP informado
+const anonymousReq = ip => ({ ip, auth: null, get: () => undefined });
+
+test('votos anônimos repetidos da mesma origem substituem o voto anterior', () => {
+  const record = EngagementService.ensure({ id: 1 });
+  [5, 1, 3].forEach(nota => {
+    const identity = OwnershipService.identify(anonymousReq('10.0.0.1'), false) || OwnershipService.anonymous(anonymousReq('10.0.0.1'));
+    EngagementService.rate(record, identity.dono, nota);
+  });
+  assert.deepStrictEqual(record.avaliacao, { media: 3, total: 1 });
+});
+
+test('origens diferentes contam como votos diferentes', () => {
+  const record = EngagementService.ensure({ id: 2 });
+  EngagementService.rate(record, OwnershipService.anonymous(anonymousReq('10.0.0.1')).dono, 5);
+  EngagementService.rate(record, OwnershipService.anonymous(anonymousReq('10.0.0.2')).dono, 2);
+  assert.deepStrictEqual(record.avaliacao, { media: 3.5, total: 2 });
+});
+
+test('a identidade anônima não expõe o IP', () => {
+  const identity = OwnershipService.anonymous(anonymousReq('10.0.0.1'));
+  assert.ok(!identity.dono.includes('10.0.0.1'));
+  assert.strictEqual(identity.dono, `origem:${identity.origem}`);
+});
+
+test('favoritar de novo pela mesma origem não soma', () => {
+  const record = EngagementService.ensure({ id: 3 });
+  const { dono } = OwnershipService.anonymous(anonymousReq('10.0.0.3'));
+  assert.strictEqual(EngagementService.favorite(record, dono, true), true);
+  assert.strictEqual(EngagementService.favorite(record, dono, true), false);
+  assert.strictEqual(record.favoritos, 1);
+});
+
+test('uso repetido da mesma origem na janela não é contado', () => {
+  const origem = OwnershipService.origin(anonymousReq('10.0.0.4'));
+  assert.strictEqual(EngagementService.usedRecently(4, 'copias', origem), false);
+  assert.strictEqual(EngagementService.usedRecently(4, 'copias', origem), true);
+  assert.strictEqual(EngagementService.usedRecently(4, 'visualizacoes', origem), false);
+  assert.strictEqual(EngagementService.usedRecently(5, 'copias', origem), false);
+  assert.strictEqual(EngagementService.usedRecently(4, 'copias', OwnershipService.origin(anonymousReq('10.0.0.5'))), false);
+});
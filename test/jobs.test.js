@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JobService, BypassService, StatusService } = require('../modules/bypass')._internals;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Aguarda o job terminar (sem depender dos contadores de status)
+const settled = async (job) => {
+  for (let i = 0; i < 100 && !JobService.isFinished(job); i++) await tick();
+  assert.ok(JobService.isFinished(job), 'o job não terminou');
+};
+
+// Contadores de status que só gravam quando release() é chamado, para
+// observar o job entre o fim da consulta e a gravação das estatísticas
+const holdCounters = (t) => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  t.mock.method(StatusService, '_increment', () => gate);
+  return () => release();
+};
+
+test('o evento completed já está no job quando o status vira succeeded', async (t) => {
+  const release = holdCounters(t);
+  t.mock.method(BypassService, 'processUrl', async (url, onProgress) => {
+    onProgress('provider.started', { provider: { id: 'p1', name: null }, attempt: 1 });
+    onProgress('provider.succeeded', { provider: { id: 'p1', name: null }, attempt: 1, durationMs: 1 });
+    return { result: 'ok' };
+  });
+  const received = [];
+  let ended = false;
+  const job = JobService.create('https://example.com/a', 'k1');
+  JobService.subscribe(job, { send: event => received.push(event.type), end: () => { ended = true; } });
+  await settled(job);
+
+  assert.strictEqual(job.status, 'succeeded');
+  assert.strictEqual(job.events[job.events.length - 1].type, 'completed');
+  assert.deepStrictEqual(job.result, { result: 'ok' });
+  assert.ok(job.finishedAt && job.expiresAt);
+  assert.deepStrictEqual(received, ['started', 'provider.started', 'provider.succeeded', 'completed']);
+  assert.strictEqual(ended, true);
+  assert.strictEqual(job.providers.succeeded.id, 'p1');
+  release();
+});
+
+test('o evento failed acompanha o status failed', async (t) => {
+  const release = holdCounters(t);
+  t.mock.method(BypassService, 'processUrl', async () => {
+    throw new Error('Nenhum provedor respondeu');
+  });
+  const job = JobService.create('https://example.com/b', 'k1');
+  await settled(job);
+
+  assert.strictEqual(job.status, 'failed');
+  const last = job.events[job.events.length - 1];
+  assert.strictEqual(last.type, 'failed');
+  assert.deepStrictEqual(last.data, { error: 'Nenhum provedor respondeu' });
+  release();
+});
+
+test('os eventos são numerados em ordem para a retomada (Last-Event-ID)', async (t) => {
+  const release = holdCounters(t);
+  t.mock.method(BypassService, 'processUrl', async () => ({ result: 'ok' }));
+  const job = JobService.create('https://example.com/c', 'k1');
+  await settled(job);
+  assert.deepStrictEqual(job.events.map(event => event.seq), job.events.map((_, i) => i + 1));
+  assert.deepStrictEqual(job.events.map(event => event.type), ['queued', 'started', 'completed']);
+  release();
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LuaValidator = require('../lib/luaValidator');
+
+// Avisos como o envio de scripts monta: aviso do Luau primeiro, depois a análise
+const check = source => {
+  const parsed = LuaValidator.parse(source);
+  if (parsed.error) return parsed;
+  return { avisos: [...(parsed.luau ? [parsed.luau] : []), ...(parsed.ast ? LuaValidator.analyze(parsed.ast) : [])], ast: parsed.ast };
+};
+const tipos = result => result.avisos.map(aviso => aviso.tipo);
+
+test('Lua 5.1 válido passa sem aviso de Luau', () => {
+  const result = check('local x = 1\nx = x + 1\nprint(x)\n');
+  assert.deepStrictEqual(result.avisos, []);
+});
+
+test('erro de sintaxe volta com linha e coluna', () => {
+  const { error } = check('local x = 1\nx = = 2\n');
+  assert.strictEqual(error.linha, 2);
+  assert.strictEqual(error.coluna, 5);
+});
+
+test('Luau: atribuições compostas passam com aviso e ainda são analisadas', () => {
+  const result = check([
+    'local n = 0',
+    'n += 1',
+    'n -= 1',
+    'n *= 2',
+    'n //= 2',
+    'local s = "a"',
+    's ..= "b"',
+    'loadstring(string.char(112, 114) .. s)()'
+  ].join('\n'));
+  assert.deepStrictEqual(tipos(result), ['sintaxe-luau', 'loadstring-ofuscado']);
+  assert.match(result.avisos[0].mensagem, /atribuição composta/);
+  assert.strictEqual(result.avisos[1].linha, 8, 'a reescrita mantém as linhas');
+});
+
+test('Luau: continue dentro de laço', () => {
+  const result = check('for i = 1, 10 do\n  if i % 2 == 0 then continue end\n  print(i)\nend\n');
+  assert.deepStrictEqual(tipos(result), ['sintaxe-luau']);
+  assert.match(result.avisos[0].mensagem, /continue/);
+  assert.ok(result.ast);
+});
+
+test('Luau: continue como campo ou variável não é confundido com o comando', () => {
+  const result = check('local t = {}\nt.continue = 1\nprint(t.continue, "x += 1")\n');
+  assert.deepStrictEqual(result.avisos, []);
+});
+
+test('Luau: string interpolada é analisada como string comum', () => {
+  const result = check('local id = 1\nlocal src = game:HttpGet(`https://exemplo.com/{id}`)\n');
+  assert.deepStrictEqual(tipos(result), ['sintaxe-luau', 'http-host-nao-permitido']);
+});
+
+test('Luau: anotações de tipo passam com aviso para a moderação', () => {
+  const samples = [
+    'local x: number = 1\nprint(x)\n',
+    'local function soma(a: number, b: number): number\n  return a + b\nend\n',
+    'type Ponto = { x: number, y: number }\nlocal p = {}\n',
+    'export type Lista<T> = { T }\n',
+    'local v = (workspace :: any).Parte\n'
+  ];
+  samples.forEach(source => {
+    const result = check(source);
+    assert.ok(!result.error, source);
+    assert.deepStrictEqual(tipos(result), ['sintaxe-luau'], source);
+    assert.match(result.avisos[0].mensagem, /anotações de tipo/);
+    assert.match(result.avisos[0].mensagem, /análise estática não rodou/);
+  });
+});
+
+test('Luau: expressão if passa com aviso', () => {
+  const result = check('local x = 1\nlocal y = if x > 0 then "positivo" else "negativo"\n');
+  assert.deepStrictEqual(tipos(result), ['sintaxe-luau']);
+  assert.strictEqual(result.avisos[0].linha, 2);
+});
+
+test('Luau: erro de sintaxe fora das linhas com Luau continua recusado', () => {
+  const { error } = check('local n = 0\nn += 1\nlocal = 2\n');
+  assert.strictEqual(error.linha, 3);
+});
+
+test('Luau: sintaxe do Luau dentro de strings e comentários não conta', () => {
+  const { error } = check('-- n += 1\nlocal s = "x :: any"\nlocal = 2\n');
+  assert.strictEqual(error.linha, 3);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { OwnershipService } = require('../modules/scripts')._internals;
+
+// Requisição mínima: IP, headers e a chave de API já resolvida pelo auth
+const request = ({ ip = '10.0.0.1', headers = {}, auth = null } = {}) => ({
+  ip,
+  auth,
+  get: name => headers[name.toLowerCase()]
+});
+
+test('identify: chave de API liga o dono à chave', () => {
+  const identity = OwnershipService.identify(request({ auth: { id: 'k1', name: 'ci' } }), false);
+  assert.strictEqual(identity.dono, 'chave:k1');
+  assert.strictEqual(identity.nome, 'ci');
+  assert.strictEqual(identity.moderador, false);
+});
+
+test('identify: sem chave nem token a requisição é anônima', () => {
+  assert.strictEqual(OwnershipService.identify(request(), false), null);
+  assert.strictEqual(OwnershipService.identify(request({ headers: { 'x-owner-token': 'sem-prefixo' } }), false), null);
+});
+
+test('issue: o token emitido identifica o mesmo dono depois', () => {
+  const issued = OwnershipService.issue(request());
+  assert.ok(issued.token.startsWith('ot_'));
+  assert.ok(!issued.dono.includes(issued.token), 'o token só é guardado como hash');
+  const again = OwnershipService.identify(request({ ip: '10.0.0.2', headers: { 'x-owner-token': issued.token } }), true);
+  assert.strictEqual(again.dono, issued.dono);
+  assert.strictEqual(again.moderador, false, 'token de dono nunca dá moderação');
+  assert.notStrictEqual(OwnershipService.issue(request()).dono, issued.dono);
+});
+
+test('origin: mesma origem para o mesmo IP, sem expor o IP', () => {
+  const origem = OwnershipService.origin(request());
+  assert.strictEqual(origem, OwnershipService.origin(request()));
+  assert.notStrictEqual(origem, OwnershipService.origin(request({ ip: '10.0.0.2' })));
+  assert.ok(!origem.includes('10.0.0.1'));
+  assert.strictEqual(OwnershipService.anonymous(request()).dono, `origem:${origem}`);
+});
+
+test('canManage: só o dono ou a moderação alteram o script', () => {
+  const record = { id: 1, dono: 'chave:k1' };
+  const owner = OwnershipService.identify(request({ auth: { id: 'k1' } }), false);
+  const other = OwnershipService.identify(request({ auth: { id: 'k2' } }), false);
+  const moderator = OwnershipService.identify(request({ auth: { id: 'k3' } }), true);
+  assert.strictEqual(OwnershipService.canManage(record, owner), true);
+  assert.strictEqual(OwnershipService.canManage(record, other), false);
+  assert.strictEqual(OwnershipService.canManage(record, moderator), true);
+  assert.strictEqual(OwnershipService.canManage(record, null), false);
+});
+
+test('canManage: registros sem dono só a moderação altera', () => {
+  const legacy = { id: 2, dono: null };
+  const anonymous = OwnershipService.anonymous(request());
+  assert.strictEqual(OwnershipService.isOwner(legacy, { dono: null }), false);
+  assert.strictEqual(OwnershipService.canManage(legacy, anonymous), false);
+  assert.strictEqual(OwnershipService.canManage(legacy, { dono: 'chave:k3', moderador: true }), true);
+});
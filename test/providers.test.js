@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ProviderSchema, ValidationService } = require('../modules/bypass')._internals;
+
+const provider = (fields = {}) => ({ name: 'Teste', url: 'https://provedor.example/api?u={url}', ...fields });
+const failed = outcome => outcome.rules.filter(result => !result.passed).map(result => result.rule);
+
+test('validate: provedor válido não tem erros', () => {
+  assert.deepStrictEqual(ProviderSchema.validate(provider()), []);
+  assert.deepStrictEqual(ProviderSchema.validate(provider({ parse_json: true, response_key: 'result' })), []);
+});
+
+test('validate: url precisa ser http(s) com o marcador {url}', () => {
+  assert.match(ProviderSchema.validate(provider({ url: 'ftp://x/{url}' }))[0], /http ou https/);
+  assert.match(ProviderSchema.validate(provider({ url: 'https://provedor.example/api' }))[0], /\{url\}/);
+  assert.match(ProviderSchema.validate(provider({ url: 'https://exa mple/{url}' }))[0], /inválida/);
+});
+
+test('validate: parse_json exige response_key', () => {
+  assert.match(ProviderSchema.validate(provider({ parse_json: true }))[0], /response_key/);
+  assert.match(ProviderSchema.validate(provider({ parse_json: 'sim' }))[0], /booleano/);
+});
+
+test('validateRules: regras desconhecidas e valores inválidos', () => {
+  assert.deepStrictEqual(ProviderSchema.validateRules(null), []);
+  assert.match(ProviderSchema.validateRules([])[0], /objeto/);
+  const errors = ProviderSchema.validateRules({
+    foo: 1,
+    expectedStatus: [200, 700],
+    jsonPath: 'data..url',
+    mustMatch: '([a-z',
+    maxLength: 0
+  });
+  assert.strictEqual(errors.length, 5);
+  assert.match(errors[0], /Regras desconhecidas: foo/);
+  assert.match(errors[1], /expectedStatus/);
+  assert.match(errors[2], /jsonPath/);
+  assert.match(errors[3], /mustMatch/);
+  assert.match(errors[4], /maxLength/);
+});
+
+test('validateRules: regex no formato /padrão/flags é aceita', () => {
+  assert.deepStrictEqual(ProviderSchema.validateRules({ mustMatch: '/^https:/i', jsonPath: 'data.links[0].url', expectedStatus: 200 }), []);
+});
+
+test('validateSettings: enabled booleano e prioridade na faixa', () => {
+  assert.strictEqual(ProviderSchema.validateSettings({ enabled: true, priority: 10 }), null);
+  assert.match(ProviderSchema.validateSettings({ enabled: 'sim' }), /enabled/);
+  assert.match(ProviderSchema.validateSettings({ priority: 101 }), /priority/);
+  assert.match(ProviderSchema.validateSettings({ priority: 1.5 }), /priority/);
+});
+
+test('evaluate: sem regras de conteúdo usa as palavras-chave globais', () => {
+  const ok = ValidationService.evaluate(provider(), { status: 200, data: 'loadstring(game:HttpGet("x"))()' });
+  assert.strictEqual(ok.valid, true);
+  const error = ValidationService.evaluate(provider(), { status: 200, data: 'invalid link' });
+  assert.deepStrictEqual(failed(error), ['keywords']);
+  const http = ValidationService.evaluate(provider(), { status: 500, data: 'key' });
+  assert.deepStrictEqual(failed(http), ['expectedStatus']);
+});
+
+test('evaluate: jsonPath extrai o valor e as regras de conteúdo substituem as palavras-chave', () => {
+  const rules = { jsonPath: 'data.links[0].url', mustMatch: '/^https:/i', maxLength: 40 };
+  const data = JSON.stringify({ data: { links: [{ url: 'https://destino.example/ok' }] } });
+  const outcome = ValidationService.evaluate(provider({ validation: rules }), { status: 200, data });
+  assert.strictEqual(outcome.valid, true);
+  assert.strictEqual(outcome.value, 'https://destino.example/ok');
+  assert.deepStrictEqual(outcome.rules.map(result => result.rule), ['expectedStatus', 'jsonPath', 'notEmpty', 'maxLength', 'mustMatch']);
+
+  const missing = ValidationService.evaluate(provider({ validation: rules }), { status: 200, data: '{"data":{}}' });
+  assert.deepStrictEqual(failed(missing), ['jsonPath', 'notEmpty', 'mustMatch']);
+  const notJson = ValidationService.evaluate(provider({ validation: rules }), { status: 200, data: '<html>' });
+  assert.strictEqual(notJson.rules[1].detail, 'A resposta não é JSON');
+});
+
+test('evaluate: response_key com parse_json e mustNotMatch', () => {
+  const config = provider({ parse_json: true, response_key: 'result', validation: { mustNotMatch: 'expirad[oa]', expectedStatus: [200, 201] } });
+  assert.strictEqual(ValidationService.evaluate(config, { status: 201, data: { result: 'chave-123' } }).value, 'chave-123');
+  assert.deepStrictEqual(failed(ValidationService.evaluate(config, { status: 200, data: { result: 'link expirado' } })), ['mustNotMatch']);
+  assert.deepStrictEqual(failed(ValidationService.evaluate(config, { status: 200, data: { outro: 1 } })), ['response_key', 'notEmpty']);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QuotaService } = require('../modules/scripts')._internals;
+
+const HOUR = 3600000;
+const NOW = Date.parse('2024-05-10T15:00:00Z');
+
+const quota = (config = {}) => ({
+  config: {
+    modo: 'janela',
+    fusoHorario: 'America/Sao_Paulo',
+    janelaHoras: 24,
+    aprovadosParaConfiavel: 3,
+    limites: { novo: 30, confiavel: 30, moderador: null },
+    ...config
+  },
+  resets: {}
+});
+
+// Script enviado pelo dono há hoursAgo horas
+const sent = (dono, hoursAgo, extra = {}) => {
+  const data = new Date(NOW - hoursAgo * HOUR).toISOString();
+  return { id: Math.random(), dono, origem: null, status: 'Em análise', data, revisoes: [{ numero: 1, data }], ...extra };
+};
+
+test('janela: a cota libera quando o envio que a estoura expira', () => {
+  const scripts = [sent('a', 20), sent('a', 10), sent('a', 2)];
+  const cota = QuotaService.usage({ dono: 'a' }, scripts, quota({ limites: { novo: 2 } }), NOW);
+  assert.strictEqual(cota.usados, 3);
+  assert.strictEqual(cota.esgotada, true);
+  assert.strictEqual(cota.reiniciaEm, new Date(NOW - 10 * HOUR + 24 * HOUR).toISOString());
+  const exceeded = QuotaService.exceeded(cota);
+  assert.strictEqual(exceeded.status, 429);
+  assert.ok(exceeded.retryAfter > 0);
+});
+
+test('janela: envios fora da janela não contam', () => {
+  const cota = QuotaService.usage({ dono: 'a' }, [sent('a', 30), sent('a', 1)], quota(), NOW);
+  assert.strictEqual(cota.usados, 1);
+  assert.strictEqual(cota.restantes, 29);
+});
+
+test('limite 0 bloqueia os envios sem reiniciaEm nem Retry-After', () => {
+  for (const modo of ['janela', 'calendario']) {
+    const cota = QuotaService.usage({ dono: 'a' }, [sent('a', 1)], quota({ modo, limites: { novo: 0 } }), NOW);
+    assert.strictEqual(cota.esgotada, true);
+    assert.strictEqual(cota.reiniciaEm, null);
+    const exceeded = QuotaService.exceeded(cota);
+    assert.strictEqual(exceeded.status, 403);
+    assert.strictEqual(exceeded.retryAfter, undefined);
+    assert.doesNotMatch(exceeded.mensagem, /NaN|null/);
+  }
+});
+
+test('calendario: a cota reinicia à meia-noite do fuso configurado', () => {
+  const cota = QuotaService.usage({ dono: 'a' }, [sent('a', 1)], quota({ modo: 'calendario' }), NOW);
+  // 15:00Z é meio-dia em São Paulo (UTC-3); o dia seguinte começa às 03:00Z
+  assert.strictEqual(cota.reiniciaEm, '2024-05-11T03:00:00.000Z');
+});
+
+test('envios anônimos contam pela origem mesmo com outro token', () => {
+  const scripts = [sent('token:x', 1, { origem: 'o1' }), sent('token:y', 2, { origem: 'o1' }), sent('token:z', 2, { origem: 'o2' })];
+  const cota = QuotaService.usage({ dono: 'token:novo', origem: 'o1' }, scripts, quota(), NOW);
+  assert.strictEqual(cota.usados, 2);
+});
+
+test('papel: moderadores sem limite e donos com aprovados suficientes são confiáveis', () => {
+  const config = quota().config;
+  assert.strictEqual(QuotaService.role({ dono: 'a', moderador: true }, [], config), 'moderador');
+  const aprovados = [1, 2, 3].map(() => sent('a', 100, { status: 'Aprovado' }));
+  assert.strictEqual(QuotaService.role({ dono: 'a' }, aprovados, config), 'confiavel');
+  assert.strictEqual(QuotaService.role({ dono: 'b' }, aprovados, config), 'novo');
+  const cota = QuotaService.usage({ dono: 'a', moderador: true }, [sent('a', 1)], quota(), NOW);
+  assert.strictEqual(cota.limite, null);
+  assert.strictEqual(cota.esgotada, false);
+});
+
+test('validateConfig aceita limite 0 e recusa negativos', () => {
+  assert.strictEqual(QuotaService.validateConfig({ limites: { novo: 0 } }), null);
+  assert.match(QuotaService.validateConfig({ limites: { novo: -1 } }), /Limite inválido/);
+  assert.match(QuotaService.validateConfig({ janelaHoras: 0 }), /janelaHoras/);
+});
+
+test('o reset da origem vale para o envio anônimo contado só pela origem', () => {
+  const scripts = [sent('token:antigo', 5, { origem: 'o1' }), sent('token:antigo', 1, { origem: 'o1' })];
+  const data = quota();
+  data.resets = { 'origem:o1': new Date(NOW - 3 * HOUR).toISOString() };
+  const cota = QuotaService.usage({ dono: 'token:novo', origem: 'o1' }, scripts, data, NOW);
+  assert.strictEqual(cota.usados, 1);
+  // Sem o reset, os dois envios da origem contam
+  assert.strictEqual(QuotaService.usage({ dono: 'token:novo', origem: 'o1' }, scripts, quota(), NOW).usados, 2);
+});
+
+test('o reset do dono continua valendo para os envios dele', () => {
+  const data = quota();
+  data.resets = { a: new Date(NOW - 3 * HOUR).toISOString() };
+  assert.strictEqual(QuotaService.usage({ dono: 'a' }, [sent('a', 5), sent('a', 1)], data, NOW).usados, 1);
+});
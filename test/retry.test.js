@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Limite de tentativas e breaker são lidos ao carregar o módulo
+process.env.BYPASS_RETRY_LIMIT = '3';
+process.env.BYPASS_RETRY_DELAY = '1';
+process.env.BYPASS_BREAKER_FAILURES = '2';
+const { ApiPerformanceTracker, BypassService } = require('../modules/bypass')._internals;
+
+const provider = { id: 'p1', url: 'https://provedor.example/?u={url}' };
+
+// Tentativas registradas nos eventos de andamento
+const attempts = (events, type) => events.filter(event => event.type === type).map(event => event.data.attempt);
+
+const run = (abortController = new AbortController()) => {
+  const events = [];
+  const pending = BypassService._tryApiWithRetry('https://link.example/a', provider, 1, abortController, (type, data) => events.push({ type, data }));
+  return { events, pending };
+};
+
+test('falha seguida de sucesso é tentada de novo até o limite', async (t) => {
+  ApiPerformanceTracker.reset(provider.id);
+  let calls = 0;
+  t.mock.method(BypassService, '_callProvider', async () => {
+    calls++;
+    if (calls < 2) throw new Error('instável');
+    return 'ok';
+  });
+  const { events, pending } = run();
+  assert.strictEqual(await pending, 'ok');
+  assert.deepStrictEqual(attempts(events, 'provider.started'), [1, 2]);
+  assert.deepStrictEqual(attempts(events, 'provider.succeeded'), [2]);
+});
+
+test('o breaker aberto interrompe as tentativas restantes', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  ApiPerformanceTracker.reset(provider.id);
+  const call = t.mock.method(BypassService, '_callProvider', async () => { throw new Error('fora do ar'); });
+  const { events, pending } = run();
+  assert.strictEqual(await pending, null);
+  // BYPASS_BREAKER_FAILURES=2 abre o breaker antes da terceira tentativa
+  assert.strictEqual(call.mock.callCount(), 2);
+  assert.deepStrictEqual(attempts(events, 'provider.failed'), [1, 2]);
+  assert.strictEqual(ApiPerformanceTracker.stats[provider.id].state, 'open');
+});
+
+test('consulta cancelada não conta como falha nem tenta de novo', async (t) => {
+  ApiPerformanceTracker.reset(provider.id);
+  const abortController = new AbortController();
+  const call = t.mock.method(BypassService, '_callProvider', async () => {
+    abortController.abort();
+    throw new Error('cancelada');
+  });
+  const { pending } = run(abortController);
+  assert.strictEqual(await pending, null);
+  assert.strictEqual(call.mock.callCount(), 1);
+  assert.strictEqual(ApiPerformanceTracker.stats[provider.id], undefined, 'nenhuma amostra registrada');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RevisionService } = require('../modules/scripts')._internals;
+
+// Registro anterior às revisões, já aprovado
+const legacy = () => ({ id: 7, script: 'print(1)\n', status: 'Aprovado', data: '2024-01-01T00:00:00.000Z' });
+
+test('ensure: registro antigo vira a revisão 1', () => {
+  const record = RevisionService.ensure(legacy());
+  assert.strictEqual(record.revisoes.length, 1);
+  assert.deepStrictEqual(
+    { numero: record.revisoes[0].numero, status: record.revisoes[0].status },
+    { numero: 1, status: 'Aprovado' }
+  );
+  assert.strictEqual(record.revisaoAtual, 1);
+  assert.strictEqual(record.revisaoAprovada, 1);
+  assert.strictEqual(RevisionService.ensure(record).revisoes.length, 1, 'ensure é idempotente');
+});
+
+test('add: revisão nova fica em análise sem tirar a aprovada do ar', () => {
+  const record = RevisionService.ensure(legacy());
+  const revision = RevisionService.add(record, 'print(2)\n', [], null);
+  assert.strictEqual(revision.numero, 2);
+  assert.strictEqual(record.status, 'Aprovado');
+  assert.strictEqual(record.script, 'print(1)\n');
+  assert.strictEqual(record.revisaoAtual, 2);
+  assert.strictEqual(record.revisaoPendente, 2);
+});
+
+test('setStatus: aprovar troca o conteúdo servido; rejeitar guarda o motivo', () => {
+  const record = RevisionService.ensure(legacy());
+  const second = RevisionService.add(record, 'print(2)\n', [], null);
+  RevisionService.setStatus(record, second, 'Aprovado');
+  assert.strictEqual(record.script, 'print(2)\n');
+  assert.strictEqual(record.revisaoAprovada, 2);
+  assert.strictEqual(record.revisaoPendente, null);
+
+  const third = RevisionService.add(record, 'print(3)\n', ['aviso'], null);
+  RevisionService.setStatus(record, third, 'Rejeitado', 'loadstring remoto');
+  assert.strictEqual(record.script, 'print(2)\n');
+  assert.strictEqual(record.status, 'Aprovado');
+  assert.strictEqual(record.motivoRejeicao, 'loadstring remoto');
+  assert.deepStrictEqual(record.avisos, ['aviso']);
+});
+
+test('sync: script retirado sai de circulação', () => {
+  const record = RevisionService.ensure(legacy());
+  record.retiradoEm = '2024-02-01T00:00:00.000Z';
+  RevisionService.sync(record);
+  assert.strictEqual(record.status, 'Retirado');
+});
+
+test('visible: o público só vê revisões aprovadas', () => {
+  const record = RevisionService.ensure(legacy());
+  RevisionService.setStatus(record, RevisionService.add(record, 'print(2)\n', [], null), 'Rejeitado', 'x');
+  RevisionService.add(record, 'print(3)\n', [], null);
+  assert.deepStrictEqual(RevisionService.visible(record, false).map(r => r.numero), [1]);
+  assert.deepStrictEqual(RevisionService.visible(record, true).map(r => r.numero), [1, 2, 3]);
+});
+
+test('diff: conta linhas adicionadas e removidas entre revisões', () => {
+  const record = RevisionService.ensure(legacy());
+  const second = RevisionService.add(record, 'print(2)\nprint(3)\n', [], null);
+  const diff = RevisionService.diff(record, RevisionService.find(record, 1), second);
+  assert.strictEqual(diff.de, 1);
+  assert.strictEqual(diff.para, 2);
+  assert.strictEqual(diff.adicionadas, 2);
+  assert.strictEqual(diff.removidas, 1);
+  assert.match(diff.diff, /^-print\(1\)$/m);
+  assert.match(diff.diff, /^\+print\(3\)$/m);
+});
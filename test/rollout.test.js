@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { rolloutBucket, isOffered, checkUpdate, newRollout } = require('../modules/upApk')._internals;
+
+const deviceIds = Array.from({ length: 5000 }, (_, i) => `device-${i}`);
+const release = (versionCode, rollout) => ({ versionCode, versionName: String(versionCode), rollout });
+const registry = (stable, beta = []) => ({
+  channels: {
+    stable: { minSupportedVersion: null, releases: stable },
+    beta: { minSupportedVersion: null, releases: beta }
+  }
+});
+
+test('o grupo do dispositivo é estável e fica entre 0 e 100', () => {
+  deviceIds.slice(0, 100).forEach(id => {
+    const bucket = rolloutBucket(id, 42);
+    assert.ok(bucket >= 0 && bucket < 100);
+    assert.strictEqual(rolloutBucket(id, 42), bucket);
+  });
+});
+
+test('a porcentagem do rollout alcança aproximadamente essa parte dos dispositivos', () => {
+  for (const percentage of [10, 25, 50]) {
+    const offered = deviceIds.filter(id => isOffered(release(42, newRollout(percentage)), id)).length;
+    assert.ok(Math.abs(offered / deviceIds.length * 100 - percentage) < 3, `${percentage}%: ${offered}`);
+  }
+});
+
+test('ampliar o rollout mantém os dispositivos que já estavam nele', () => {
+  const at10 = deviceIds.filter(id => isOffered(release(42, newRollout(10)), id));
+  const at30 = new Set(deviceIds.filter(id => isOffered(release(42, newRollout(30)), id)));
+  assert.ok(at10.every(id => at30.has(id)));
+});
+
+test('cada versão sorteia um grupo diferente', () => {
+  const v1 = new Set(deviceIds.filter(id => rolloutBucket(id, 1) < 10));
+  const v2 = deviceIds.filter(id => rolloutBucket(id, 2) < 10);
+  const overlap = v2.filter(id => v1.has(id)).length;
+  assert.ok(overlap < v2.length / 2);
+});
+
+test('sem deviceId só versões a 100% são oferecidas; suspensas nunca', () => {
+  assert.strictEqual(isOffered(release(42, newRollout(50)), null), false);
+  assert.strictEqual(isOffered(release(42, newRollout(100)), null), true);
+  assert.strictEqual(isOffered(release(42), null), true);
+  const halted = { ...newRollout(100), state: 'halted' };
+  assert.ok(deviceIds.slice(0, 50).every(id => !isOffered(release(42, halted), id)));
+});
+
+test('abaixo da versão mínima a atualização é obrigatória mesmo fora do rollout', () => {
+  const data = registry([release(10, newRollout(100)), release(11, newRollout(0))]);
+  data.channels.stable.minSupportedVersion = 11;
+  const check = checkUpdate(data, { channel: 'stable', versionCode: 9, deviceId: 'device-1' });
+  assert.strictEqual(check.status, 'mandatory-update');
+  assert.strictEqual(check.latest.versionCode, 11);
+});
+
+test('o beta recebe também as versões do stable', () => {
+  const data = registry([release(12, newRollout(100))], [release(11, newRollout(100))]);
+  const check = checkUpdate(data, { channel: 'beta', versionCode: 10, deviceId: 'device-1' });
+  assert.strictEqual(check.status, 'optional-update');
+  assert.strictEqual(check.latest.versionCode, 12);
+});
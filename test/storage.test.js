@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// DATA_DIR é lido ao carregar lib/storage
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.SQLITE_PATH = path.join(dataDir, 'storage.db');
+const { createStorage } = require('../lib/storage');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const hasSqlite = (() => {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+for (const driver of ['json', 'sqlite']) {
+  test(`${driver}: updates simultâneos não perdem alterações`, { skip: driver === 'sqlite' && !hasSqlite && 'better-sqlite3 não instalado' }, async () => {
+    const storage = createStorage(driver);
+    const counter = storage.collection(`contador-${driver}`, { total: 0 });
+    await Promise.all(Array.from({ length: 25 }, () => counter.update(value => {
+      value.total++;
+    })));
+    assert.deepStrictEqual(await counter.read(), { total: 25 });
+    await storage.close();
+  });
+
+  test(`${driver}: o retorno de fn chega ao chamador e um erro não grava nem trava a fila`, { skip: driver === 'sqlite' && !hasSqlite && 'better-sqlite3 não instalado' }, async () => {
+    const storage = createStorage(driver);
+    const items = storage.collection(`itens-${driver}`, []);
+    assert.strictEqual(await items.update(list => list.push('a')), 1);
+    await assert.rejects(items.update(list => {
+      list.push('b');
+      throw new Error('falhou');
+    }), /falhou/);
+    assert.deepStrictEqual(await items.read(), ['a']);
+    await items.update(list => list.push('c'));
+    assert.deepStrictEqual(await items.read(), ['a', 'c']);
+    await storage.close();
+  });
+}
+
+test('json: a escrita é atômica e não deixa arquivos temporários', async () => {
+  const storage = createStorage('json');
+  await storage.write('atomica', { ok: true });
+  const files = fs.readdirSync(dataDir).filter(file => file.startsWith('atomica'));
+  assert.deepStrictEqual(files, ['atomica.json']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'atomica.json'), 'utf-8')), { ok: true });
+});
+
+test('json: update sem alteração não regrava o arquivo', async () => {
+  const storage = createStorage('json');
+  const doc = storage.collection('sem-alteracao', { valor: 1 });
+  await doc.update(value => {
+    value.valor = 2;
+  });
+  const file = path.join(dataDir, 'sem-alteracao.json');
+  const before = fs.statSync(file).mtimeMs;
+  fs.utimesSync(file, new Date(0), new Date(0));
+  const result = await doc.update(value => (value.valor === 2 ? 'igual' : 'diferente'));
+  assert.strictEqual(result, 'igual');
+  assert.strictEqual(fs.statSync(file).mtimeMs, 0);
+  assert.ok(before > 0);
+});
+
+test('json: arquivo corrompido propaga o erro em vez de voltar ao padrão', async () => {
+  const storage = createStorage('json');
+  fs.writeFileSync(path.join(dataDir, 'corrompida.json'), '{ quebrado');
+  await assert.rejects(storage.collection('corrompida', []).read(), SyntaxError);
+});
+
+test('nomes de coleção inválidos são recusados', () => {
+  const storage = createStorage('json');
+  assert.throws(() => storage.collection('../fora', []), /Nome de coleção inválido/);
+});